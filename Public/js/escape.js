@@ -0,0 +1,6 @@
+// Escape text for HTML built with template strings, both element content and quoted attribute values
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return (text == null ? '' : String(text)).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
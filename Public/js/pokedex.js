@@ -1,23 +1,96 @@
 const API_URL = window.location.origin;
 
+// Stat range inputs in the advanced filter panel; keys match the API's min_<key> / max_<key>
+const STAT_FILTERS = [
+  { key: 'hp', label: 'HP' },
+  { key: 'attack', label: 'ATK' },
+  { key: 'defence', label: 'DEF' },
+  { key: 'sp_atk', label: 'SP.ATK' },
+  { key: 'sp_def', label: 'SP.DEF' },
+  { key: 'spd', label: 'SPD' },
+  { key: 'bst', label: 'BST' }
+];
+
 /* ===========================
    LOAD TYPES FROM DATABASE
 =========================== */
 function loadTypes() {
-  fetch(`${API_URL}/types`)
+  return fetch(`${API_URL}/types`)
     .then(res => res.json())
     .then(types => {
-      const select = document.getElementById('typeFilter');
-      types.forEach(t => {
-        const option = document.createElement('option');
-        option.value = t.type_name;
-        option.textContent = t.type_name;
-        select.appendChild(option);
+      ['typeFilter', 'typeFilter2'].forEach(id => {
+        const select = document.getElementById(id);
+        types.forEach(t => {
+          const option = document.createElement('option');
+          option.value = t.type_name;
+          option.textContent = t.type_name;
+          select.appendChild(option);
+        });
       });
     })
     .catch(err => console.error('Failed to load types', err));
 }
 
+/* ===========================
+  ADVANCED FILTERS + URL QUERY STRING
+=========================== */
+function renderStatFilters() {
+  document.getElementById('statFilters').innerHTML = STAT_FILTERS.map(({ key, label }) => `
+    <label class="stat-filter">
+      <span>${label}</span>
+      <input type="number" id="min_${key}" min="0" placeholder="min">
+      <input type="number" id="max_${key}" min="0" placeholder="max">
+    </label>
+  `).join('');
+}
+
+// Query parameters for GET /pokemon from the filter inputs (empty ones are left out)
+function filterParams() {
+  const params = new URLSearchParams();
+  const set = (name, value) => { if (String(value).trim() !== '') params.set(name, String(value).trim()); };
+  set('search', document.getElementById('searchInput').value);
+  set('type', [document.getElementById('typeFilter').value, document.getElementById('typeFilter2').value].filter(Boolean).join(','));
+  set('type_count', document.getElementById('typeCount').value);
+  set('ability', document.getElementById('abilityFilter').value);
+  set('move', document.getElementById('moveFilter').value);
+  STAT_FILTERS.forEach(({ key }) => {
+    set(`min_${key}`, document.getElementById(`min_${key}`).value);
+    set(`max_${key}`, document.getElementById(`max_${key}`).value);
+  });
+  set('sort', document.getElementById('sortBy').value);
+  set('order', document.getElementById('sortOrder').value);
+  return params;
+}
+
+// Fill the filter inputs from a shared pokedex.html?... link
+function applyFiltersFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+  const value = name => params.get(name) || '';
+  const [type1 = '', type2 = ''] = value('type').split(',').map(t => t.trim());
+  document.getElementById('searchInput').value = value('search');
+  document.getElementById('typeFilter').value = type1;
+  document.getElementById('typeFilter2').value = type2;
+  document.getElementById('typeCount').value = value('type_count');
+  document.getElementById('abilityFilter').value = value('ability');
+  document.getElementById('moveFilter').value = value('move');
+  STAT_FILTERS.forEach(({ key }) => {
+    document.getElementById(`min_${key}`).value = value(`min_${key}`);
+    document.getElementById(`max_${key}`).value = value(`max_${key}`);
+  });
+  document.getElementById('sortBy').value = value('sort');
+  document.getElementById('sortOrder').value = value('order');
+
+  // Keep the panel open when a shared link uses it
+  const advanced = Array.from(params.keys()).some(k => !['search', 'type', 'id'].includes(k)) || type2 !== '';
+  document.getElementById('advancedFilters').open = advanced;
+}
+
+function resetFilters() {
+  document.querySelectorAll('.filters input, .filters select, .advanced-filters input, .advanced-filters select')
+    .forEach(el => { el.value = ''; });
+  loadPokemon();
+}
+
 /* ===========================
   UTILITIES
 =========================== */
@@ -39,6 +112,10 @@ function parseTypes(typesField) {
 /* ===========================
   LOAD POKEMON WITH FILTERS
 =========================== */
+const POKEDEX_PAGE_SIZE = 60;
+// The filters the grid was loaded with and how far it has been paged
+const gridState = { params: null, page: 0, pages: 0, total: 0, loading: false, request: 0 };
+
 function loadPokemon() {
   // Close detail view if open
   const detail = document.getElementById('pokemon-detail');
@@ -46,6 +123,7 @@ function loadPokemon() {
   
   const grid = document.getElementById('pokedex');
   grid.style.display = '';
+  document.getElementById('pokedexMore').style.display = '';
 
   const filtersEl = document.querySelector('.filters');
   let errorEl = document.getElementById('searchError');
@@ -60,7 +138,6 @@ function loadPokemon() {
 
   const rawSearch = document.getElementById('searchInput').value;
   const search = rawSearch.trim();
-  const type = document.getElementById('typeFilter').value;
 
   // Validate search: allow letters, numbers, spaces, apostrophes, hyphens, periods; max 50 chars
   const isValid = /^[A-Za-z0-9\s'\-.]{0,50}$/.test(search);
@@ -70,58 +147,116 @@ function loadPokemon() {
   }
   errorEl.textContent = '';
 
-  let url = `${API_URL}/pokemon?search=${encodeURIComponent(search)}`;
-  if (type) url += `&type=${encodeURIComponent(type)}`;
+  const params = filterParams();
+  // The address bar always holds the current search so it can be bookmarked or shared
+  window.history.replaceState({}, '', params.toString() ? `pokedex.html?${params}` : 'pokedex.html');
+
+  gridState.params = params;
+  gridState.page = 0;
+  gridState.pages = 0;
+  gridState.total = 0;
+  gridState.loading = false;
+  gridState.request++;
+  grid.innerHTML = '';
+  loadMorePokemon();
+}
+
+// Fetches the next page of the current list and appends it to the grid
+function loadMorePokemon() {
+  if (gridState.loading || !gridState.params) return;
+  if (gridState.page > 0 && gridState.page >= gridState.pages) return;
 
-  fetch(url)
+  const grid = document.getElementById('pokedex');
+  const errorEl = document.getElementById('searchError');
+  const params = new URLSearchParams(gridState.params);
+  params.set('page', gridState.page + 1);
+  params.set('limit', POKEDEX_PAGE_SIZE);
+  const sortStat = STAT_FILTERS.find(f => f.key === params.get('sort'));
+  // A new search while this page is in flight makes the response stale
+  const request = gridState.request;
+  gridState.loading = true;
+  renderMoreBar();
+
+  fetch(`${API_URL}/pokemon?${params}`)
     .then(res => res.json())
-    .then(pokemon => {
-      grid.innerHTML = '';
+    .then(data => {
+      if (request !== gridState.request) return;
 
-      if (!Array.isArray(pokemon) || pokemon.length === 0) {
-        errorEl.textContent = 'No Pokémon found. Try another name or type.';
+      if (data && data.error) {
+        errorEl.textContent = data.error;
+        return;
+      }
+      if (data.total === 0) {
+        errorEl.textContent = 'No Pokémon found. Try other filters.';
         return;
       }
 
       errorEl.textContent = '';
-
-      pokemon.forEach(p => {
-        const card = document.createElement('div');
-        card.className = 'pokedex-card';
-
-        const typesArr = parseTypes(p.types);
-        const spriteUrl = `https://pokeapi.co/api/v2/pokemon/${p.id}`;
-
-        card.innerHTML = `
-              <img src="https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${p.id}.png" alt="${p.name}" style="width:96px;height:96px;object-fit:contain;margin-bottom:8px;" loading="lazy" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22100%22%3E%3Crect fill=%22%23ddd%22 width=%22100%22 height=%22100%22/%3E%3C/svg%3E'">
-              <h3>#${p.id} ${p.name}</h3>
-              <div>
-                ${typesArr.map(t => `<span class="type-badge type-${t.toLowerCase().replace(/\s+/g,'-')}">${t}</span>`).join('')}
-              </div>
-            `;
-
-        // attach id and make card clickable to navigate to a detail view
-        card.dataset.id = p.id;
-        card.style.cursor = 'pointer';
-        card.addEventListener('click', () => {
-          // navigate to same page with query param (frontend can read ?id= to load details)
-          window.location.href = `pokedex.html?id=${p.id}`;
-        });
-
-        grid.appendChild(card);
-      });
+      gridState.page = data.page;
+      gridState.pages = data.pages;
+      gridState.total = data.total;
+      data.pokemon.forEach(p => grid.appendChild(pokedexCard(p, sortStat)));
     })
     .catch(err => {
+      if (request !== gridState.request) return;
       console.error('Failed to load pokemon list', err);
-      grid.innerHTML = '';
       errorEl.textContent = 'Could not load Pokémon. Please try again.';
+    })
+    .finally(() => {
+      if (request !== gridState.request) return;
+      gridState.loading = false;
+      renderMoreBar();
     });
 }
 
+function pokedexCard(p, sortStat) {
+  const card = document.createElement('div');
+  card.className = 'pokedex-card';
+
+  const typesArr = parseTypes(p.types);
+
+  card.innerHTML = `
+        <img src="https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${p.id}.png" alt="${p.name}" style="width:96px;height:96px;object-fit:contain;margin-bottom:8px;" loading="lazy" onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22100%22 height=%22100%22%3E%3Crect fill=%22%23ddd%22 width=%22100%22 height=%22100%22/%3E%3C/svg%3E'">
+        <h3>#${p.id} ${p.name}</h3>
+        <div>
+          ${typesArr.map(t => `<span class="type-badge type-${t.toLowerCase().replace(/\s+/g,'-')}">${t}</span>`).join('')}
+        </div>
+        ${sortStat ? `<div class="pokedex-card-stat">${sortStat.label} ${sortStat.key === 'bst' ? (p.bst !== null ? p.bst : '—') : (p.stats ? p.stats[sortStat.key] : '—')}</div>` : ''}
+      `;
+
+  // attach id and make card clickable to navigate to a detail view
+  card.dataset.id = p.id;
+  card.style.cursor = 'pointer';
+  card.addEventListener('click', () => {
+    // navigate to same page with query param (frontend can read ?id= to load details);
+    // the filters stay in the URL so Back returns to the same list
+    const detailParams = filterParams();
+    detailParams.set('id', p.id);
+    window.location.href = `pokedex.html?${detailParams}`;
+  });
+  return card;
+}
+
+// "Showing 60 of 1025" plus a Load more button while pages remain
+function renderMoreBar() {
+  const bar = document.getElementById('pokedexMore');
+  const shown = document.getElementById('pokedex').children.length;
+  const remaining = gridState.page < gridState.pages;
+  bar.querySelector('.pokedex-more-count').textContent = gridState.total ? `Showing ${shown} of ${gridState.total}` : '';
+  const button = bar.querySelector('button');
+  button.style.display = remaining || gridState.loading ? '' : 'none';
+  button.disabled = gridState.loading;
+  button.textContent = gridState.loading ? 'Loading…' : 'Load more';
+}
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', () => {
-  loadTypes();
-  loadPokemon();
+  renderStatFilters();
+  loadTypes().then(() => {
+    applyFiltersFromQuery();
+    // A ?id= link opens the detail view instead of the list
+    if (!new URLSearchParams(window.location.search).get('id')) loadPokemon();
+  });
 
   // Add event listeners for search and filter
   document.getElementById('searchInput').addEventListener('keypress', function(e) {
@@ -130,6 +265,20 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   document.getElementById('searchBtn').addEventListener('click', loadPokemon);
+  document.getElementById('applyFilters').addEventListener('click', loadPokemon);
+  document.getElementById('resetFilters').addEventListener('click', resetFilters);
+  document.querySelector('#pokedexMore button').addEventListener('click', loadMorePokemon);
+  // Scrolling the Load more bar into view fetches the next page
+  if ('IntersectionObserver' in window) {
+    new IntersectionObserver(entries => {
+      if (entries.some(e => e.isIntersecting)) loadMorePokemon();
+    }, { rootMargin: '400px' }).observe(document.getElementById('pokedexMore'));
+  }
+  ['abilityFilter', 'moveFilter'].forEach(id => {
+    document.getElementById(id).addEventListener('keypress', e => {
+      if (e.key === 'Enter') loadPokemon();
+    });
+  });
 });
 document.getElementById('typeFilter').addEventListener('change', loadPokemon);
 
@@ -139,10 +288,6 @@ function loadDetailFromQuery() {
   const id = params.get('id');
   if (!id) return;
 
-  // Reset search inputs when loading detail
-  document.getElementById('searchInput').value = '';
-  document.getElementById('typeFilter').value = '';
-
   fetch(`${API_URL}/pokemon/${id}`)
     .then(res => {
       if (!res.ok) throw new Error('Not found');
@@ -158,6 +303,7 @@ function renderDetail(p) {
   // hide grid
   const grid = document.getElementById('pokedex');
   grid.style.display = 'none';
+  document.getElementById('pokedexMore').style.display = 'none';
 
   // remove existing detail if any
   let existing = document.getElementById('pokemon-detail');
@@ -195,6 +341,7 @@ function renderDetail(p) {
     <h2 style="text-align:center;">#${p.id} ${p.name}</h2>
     <div><strong>Types:</strong> <span class="type-row">${ detailTypes.map(t => `<span class="type-badge type-${t.toLowerCase().replace(/\s+/g,'-')}">${t}</span>`).join('') }</span></div>
     <div><strong>Abilities:</strong> ${ (p.abilities || []).join(', ') }</div>
+    <div id="type-matchups" style="margin-top:12px;"></div>
     <div style="margin-top:16px;"><strong>Base Stats</strong><div class="stats-container" style="max-width:450px;">${statsHtml}<div class="stat-total">Total: ${totalStat}</div></div></div>
     <div style="margin-top:20px;"><strong>Moves Learned:</strong></div>
     <table class="moves-table">
@@ -228,6 +375,7 @@ function renderDetail(p) {
   `;
 
   document.querySelector('.main').appendChild(container);
+  if (detailTypes.length) loadTypeMatchups(detailTypes);
 
   // Add move detail modal
   const modal = document.createElement('div');
@@ -261,13 +409,29 @@ function renderDetail(p) {
   });
 
   document.getElementById('detail-back').addEventListener('click', () => {
-    // remove query param and show grid
-    window.history.replaceState({}, '', 'pokedex.html');
+    // drop ?id= and go back to the filtered list
     container.remove();
-    grid.style.display = '';
+    loadPokemon();
   });
 }
 
+// Weaknesses, resistances and immunities for the detail view
+function loadTypeMatchups(types) {
+  fetch(`${API_URL}/types/matchup?defend=${encodeURIComponent(types.join(','))}`)
+    .then(res => {
+      if (!res.ok) throw new Error('Matchup lookup failed');
+      return res.json();
+    })
+    .then(data => {
+      const el = document.getElementById('type-matchups');
+      if (!el) return;
+      const badge = t => `<span class="type-badge type-${t.toLowerCase()}">${t} x${data.matchups[t]}</span>`;
+      const row = (label, list) => `<div><strong>${label}:</strong> ${list.length ? list.map(badge).join('') : 'None'}</div>`;
+      el.innerHTML = row('Weak to', data.weaknesses) + row('Resists', data.resistances) + row('Immune to', data.immunities);
+    })
+    .catch(err => console.error('Failed to load type matchups', err));
+}
+
 // run on load
 loadDetailFromQuery();
 
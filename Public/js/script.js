@@ -119,38 +119,39 @@ async function removeFavorite(id) {
     }
 }
 
-function searchPokemon() {
+const SEARCH_PAGE_SIZE = 20;
+
+function searchPokemon(page = 1) {
     const input = document.getElementById('pokeInput').value;
     const resultsDiv = document.getElementById('results');
 
     if (!input) return;
 
     // Fetch from the API using current domain
-    fetch(`${window.location.origin}/pokemon/search?name=${input}`)
+    const params = new URLSearchParams({ name: input, page, limit: SEARCH_PAGE_SIZE });
+    fetch(`${window.location.origin}/pokemon/search?${params}`)
         .then(res => res.json())
         .then(data => {
-            resultsDiv.innerHTML = '';
-            
-            if (data.length === 0) {
+            if (page === 1) resultsDiv.innerHTML = '';
+            const oldMore = document.getElementById('searchMore');
+            if (oldMore) oldMore.remove();
+
+            if (data.error) {
+                resultsDiv.innerHTML = `<p>${data.error}</p>`;
+                return;
+            }
+            if (data.total === 0) {
                 resultsDiv.innerHTML = '<p>No Pokémon found.</p>';
                 return;
             }
 
-            // Group by Pokémon ID to handle multiple abilities/types
-            const pokemonMap = new Map();
-            data.forEach(row => {
-                if (!pokemonMap.has(row.id)) {
-                    pokemonMap.set(row.id, {
-                        id: row.id,
-                        name: row.name,
-                        types: row.types || [],
-                        abilities: row.ability_name ? row.ability_name.split(', ') : []
-                    });
-                }
-            });
-
-            // Display each Pokémon once with combined types
-            pokemonMap.forEach(p => {
+            data.pokemon.forEach(row => {
+                const p = {
+                    id: row.id,
+                    name: row.name,
+                    types: row.types || [],
+                    abilities: row.ability_name ? row.ability_name.split(', ') : []
+                };
                 const div = document.createElement('div');
                 div.className = 'poke-card';
                 const spriteUrl = `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${p.id}.png`;
@@ -169,6 +170,16 @@ function searchPokemon() {
                 `;
                 resultsDiv.appendChild(div);
             });
+
+            // More matches than shown so far
+            if (data.page < data.pages) {
+                const more = document.createElement('button');
+                more.id = 'searchMore';
+                more.className = 'fav-add';
+                more.textContent = `Show more (${data.total - data.page * data.limit} left)`;
+                more.onclick = () => searchPokemon(page + 1);
+                resultsDiv.appendChild(more);
+            }
         })
         .catch(err => {
             console.error(err);
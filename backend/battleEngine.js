@@ -0,0 +1,510 @@
+// Doubles battle engine for POST /battles and POST /battles/:id/turn.
+// Teams come in calc-ready (see loadPlannerMembers in server.js):
+//   { slot, name, level, types, ability, item, stats, moves: [{ name, type, category, power, accuracy }] }
+// The battle state is plain JSON so the server can store it between turns; every random roll comes from
+// a seeded generator kept in the state, so the same seed and actions replay the same battle.
+
+const dmgcalc = require('./dmgcalc');
+const typeChart = require('./typeChart');
+const calcEffects = require('./calcEffects');
+
+const SIDES = ['a', 'b'];
+const ACTIVE = 2;
+const WEATHER_TURNS = 5;
+const CHOICE_SCARF = 1.5;
+const PARALYSIS_CHANCE = 0.25;
+const MAX_SLEEP_TURNS = 3;
+
+// Moves that act before (or after) everything else; the rest are priority 0
+const MOVE_PRIORITY = {
+  Protect: 4, Detect: 4, 'Fake Out': 3, 'Extreme Speed': 2, 'First Impression': 2, Feint: 2,
+  'Aqua Jet': 1, 'Bullet Punch': 1, 'Ice Shard': 1, 'Mach Punch': 1, 'Quick Attack': 1, 'Shadow Sneak': 1,
+  'Sucker Punch': 1, 'Vacuum Wave': 1, Accelerock: 1, 'Jet Punch': 1, 'Water Shuriken': 1,
+  'Trick Room': -7
+};
+
+// Damaging moves that hit both foes, or every other Pokémon on the field
+const SPREAD_FOES = [
+  'Rock Slide', 'Heat Wave', 'Dazzling Gleam', 'Hyper Voice', 'Blizzard', 'Muddy Water', 'Icy Wind', 'Snarl',
+  'Eruption', 'Water Spout', 'Make It Rain', 'Electroweb', 'Air Cutter', 'Bleakwind Storm', 'Glacial Lance', 'Astral Barrage',
+  'Precipice Blades', 'Origin Pulse', 'Breaking Swipe', 'Struggle Bug', 'Razor Leaf', 'Matcha Gotcha'
+];
+const SPREAD_ALL = ['Earthquake', 'Surf', 'Discharge', 'Bulldoze', 'Lava Plume', 'Sludge Wave', 'Boomburst', 'Explosion', 'Petal Blizzard'];
+
+// Status moves the engine knows how to resolve
+const STATUS_MOVES = {
+  Protect: { protect: true },
+  Detect: { protect: true },
+  'Thunder Wave': { status: 'par' },
+  'Stun Spore': { status: 'par', powder: true },
+  Glare: { status: 'par' },
+  'Will-O-Wisp': { status: 'brn' },
+  Toxic: { status: 'tox' },
+  'Poison Powder': { status: 'psn', powder: true },
+  Spore: { status: 'slp', powder: true },
+  'Sleep Powder': { status: 'slp', powder: true },
+  Hypnosis: { status: 'slp' },
+  'Swords Dance': { boosts: { attack: 2 } },
+  'Nasty Plot': { boosts: { sp_atk: 2 } },
+  'Dragon Dance': { boosts: { attack: 1, spd: 1 } },
+  'Calm Mind': { boosts: { sp_atk: 1, sp_def: 1 } },
+  'Bulk Up': { boosts: { attack: 1, defence: 1 } },
+  'Iron Defense': { boosts: { defence: 2 } },
+  'Quiver Dance': { boosts: { sp_atk: 1, sp_def: 1, spd: 1 } },
+  'Shell Smash': { boosts: { attack: 2, sp_atk: 2, spd: 2, defence: -1, sp_def: -1 } },
+  Agility: { boosts: { spd: 2 } },
+  'Rain Dance': { weather: 'Rain' },
+  'Sunny Day': { weather: 'Sun' },
+  Sandstorm: { weather: 'Sand' },
+  Snowscape: { weather: 'Snow' }
+};
+
+const WEATHER_ABILITIES = { Drizzle: 'Rain', Drought: 'Sun', 'Sand Stream': 'Sand', 'Snow Warning': 'Snow' };
+const WEATHER_START = { Rain: 'It started to rain!', Sun: 'The sunlight turned harsh!', Sand: 'A sandstorm kicked up!', Snow: 'It started to snow!' };
+const WEATHER_END = { Rain: 'The rain stopped.', Sun: 'The harsh sunlight faded.', Sand: 'The sandstorm subsided.', Snow: 'The snow stopped.' };
+const SAND_IMMUNE_TYPES = ['Rock', 'Ground', 'Steel'];
+const SAND_IMMUNE_ABILITIES = ['Sand Veil', 'Sand Rush', 'Sand Force', 'Overcoat', 'Magic Guard'];
+
+// Types that can't get each status
+const STATUS_IMMUNE = { brn: ['Fire'], par: ['Electric'], psn: ['Poison', 'Steel'], tox: ['Poison', 'Steel'], slp: [] };
+const STATUS_TEXT = { brn: 'was burned', par: 'is paralyzed! It may be unable to move', psn: 'was poisoned', tox: 'was badly poisoned', slp: 'fell asleep' };
+const STAT_LABELS = { attack: 'Attack', defence: 'Defense', sp_atk: 'Sp. Atk', sp_def: 'Sp. Def', spd: 'Speed' };
+
+// Seeded generator (mulberry32); its state lives in state.rng
+function random(state) {
+  state.rng = (state.rng + 0x6D2B79F5) | 0;
+  let t = state.rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const randomInt = (state, n) => Math.floor(random(state) * n);
+const foeOf = side => side === 'a' ? 'b' : 'a';
+const label = (side, mon) => `${mon.name} (${side.toUpperCase()})`;
+
+function moveTarget(move) {
+  const effect = STATUS_MOVES[move.name];
+  if (effect) return effect.status ? 'foe' : effect.weather ? 'field' : 'self';
+  if (SPREAD_ALL.includes(move.name)) return 'all';
+  if (SPREAD_FOES.includes(move.name)) return 'foes';
+  return 'foe';
+}
+
+function battleMon(member) {
+  const boosts = {};
+  dmgcalc.BOOST_KEYS.forEach(k => { boosts[k] = 0; });
+  return {
+    slot: member.slot,
+    name: member.name,
+    level: member.level,
+    types: member.types,
+    ability: member.ability,
+    item: member.item,
+    stats: member.stats,
+    moves: member.moves.map(m => ({ name: m.name, type: m.type, category: m.category, power: m.power, accuracy: m.accuracy })),
+    hp: member.stats.hp,
+    status: null,
+    sleep_turns: 0,
+    toxic_turns: 0,
+    boosts,
+    intimidated: 0,
+    fainted: false,
+    entered_turn: 0,
+    protect_streak: 0,
+    protected: false,
+    flinched: false
+  };
+}
+
+function monAt(state, side, pos) {
+  const index = state.sides[side].active[pos];
+  return index === null || index === undefined ? null : state.sides[side].team[index];
+}
+
+// Active, not fainted Pokémon on a side as { side, pos, mon }
+function activeOn(state, side) {
+  const out = [];
+  for (let pos = 0; pos < ACTIVE; pos++) {
+    const mon = monAt(state, side, pos);
+    if (mon && !mon.fainted) out.push({ side, pos, mon });
+  }
+  return out;
+}
+
+function speedOf(mon) {
+  let speed = dmgcalc.applyStage(mon.stats.spd, mon.boosts.spd);
+  if (mon.item === 'Choice Scarf') speed = Math.floor(speed * CHOICE_SCARF);
+  if (mon.status === 'par') speed = Math.floor(speed / 2);
+  return speed;
+}
+
+function applyBoosts(side, mon, boosts, events) {
+  Object.entries(boosts).forEach(([stat, n]) => {
+    if (!n) return;
+    const before = mon.boosts[stat];
+    mon.boosts[stat] = dmgcalc.clampStage(before + n);
+    if (mon.boosts[stat] === before) events.push(`${label(side, mon)}'s ${STAT_LABELS[stat]} won't go any ${n > 0 ? 'higher' : 'lower'}!`);
+    else events.push(`${label(side, mon)}'s ${STAT_LABELS[stat]} ${n > 0 ? 'rose' : 'fell'}${Math.abs(n) > 1 ? ' sharply' : ''}!`);
+  });
+}
+
+function setWeather(state, weather, events) {
+  if (state.weather === weather) {
+    events.push('But it failed!');
+    return;
+  }
+  state.weather = weather;
+  state.weather_turns = WEATHER_TURNS;
+  events.push(WEATHER_START[weather]);
+}
+
+function faint(side, mon, events) {
+  mon.hp = 0;
+  mon.fainted = true;
+  events.push(`${label(side, mon)} fainted!`);
+}
+
+// Lose a fraction of max HP (weather, status, Life Orb)
+function chip(side, mon, fraction, reason, events) {
+  const amount = Math.max(1, Math.floor(mon.stats.hp * fraction));
+  mon.hp = Math.max(0, mon.hp - amount);
+  events.push(`${label(side, mon)} ${reason} (-${amount} HP)`);
+  if (mon.hp === 0) faint(side, mon, events);
+}
+
+// Put team[index] into an active position and run its entry abilities
+function switchIn(state, side, pos, index, events) {
+  const previous = monAt(state, side, pos);
+  if (previous && !previous.fainted) {
+    dmgcalc.BOOST_KEYS.forEach(k => { previous.boosts[k] = 0; });
+    previous.toxic_turns = 0;
+    previous.protect_streak = 0;
+    events.push(`${label(side, previous)} was withdrawn.`);
+  }
+  state.sides[side].active[pos] = index;
+  const mon = state.sides[side].team[index];
+  mon.entered_turn = state.turn;
+  events.push(`Side ${side.toUpperCase()} sent out ${mon.name}!`);
+
+  if (WEATHER_ABILITIES[mon.ability] && state.weather !== WEATHER_ABILITIES[mon.ability]) {
+    events.push(`[${mon.name}'s ${mon.ability}]`);
+    setWeather(state, WEATHER_ABILITIES[mon.ability], events);
+  }
+  if (mon.ability === 'Intimidate') {
+    activeOn(state, foeOf(side)).forEach(foe => {
+      events.push(`${label(side, mon)}'s Intimidate affects ${label(foe.side, foe.mon)}.`);
+      const stages = calcEffects.intimidateStages(foe.mon, 1);
+      if (Object.values(stages).every(n => !n)) events.push(`${label(foe.side, foe.mon)}'s stats were not lowered!`);
+      applyBoosts(foe.side, foe.mon, stages, events);
+    });
+  }
+}
+
+// Fill fainted active positions from the bench in team order
+function replaceFainted(state, events) {
+  SIDES.forEach(side => {
+    const { team, active } = state.sides[side];
+    for (let pos = 0; pos < ACTIVE; pos++) {
+      const current = monAt(state, side, pos);
+      if (current && !current.fainted) continue;
+      const next = team.findIndex((m, i) => !m.fainted && !active.includes(i));
+      if (next === -1) active[pos] = null;
+      else switchIn(state, side, pos, next, events);
+    }
+  });
+}
+
+function checkWinner(state) {
+  const alive = SIDES.map(side => state.sides[side].team.some(m => !m.fainted));
+  if (!alive[0] && !alive[1]) state.winner = 'draw';
+  else if (!alive[0]) state.winner = 'b';
+  else if (!alive[1]) state.winner = 'a';
+  return state.winner;
+}
+
+function createBattle(teams, seed) {
+  const state = { seed, rng: seed, turn: 0, weather: null, weather_turns: 0, winner: null, sides: {}, log: [] };
+  SIDES.forEach(side => {
+    const team = teams[side].members.map(battleMon);
+    state.sides[side] = { name: teams[side].name, team, active: [null, null] };
+  });
+
+  // Leads come out fastest first, so entry abilities resolve in speed order
+  const events = [];
+  const leads = [];
+  SIDES.forEach(side => {
+    state.sides[side].team.slice(0, ACTIVE).forEach((mon, pos) => leads.push({ side, pos, mon }));
+  });
+  leads
+    .sort((x, y) => speedOf(y.mon) - speedOf(x.mon))
+    .forEach(({ side, pos }) => switchIn(state, side, pos, pos, events));
+  state.log.push({ turn: 0, events });
+  return state;
+}
+
+// Check one turn's choices: actions is { a: [action, action], b: [...] }, one per active position, where
+// an action is { move, target } (target is the opposing position, 0 or 1) or { switch: team slot }.
+// Returns { actions } or { error }.
+function validateActions(state, actions) {
+  if (state.winner) return { error: 'Battle is over' };
+  if (!actions || typeof actions !== 'object') return { error: 'actions must be { a: [...], b: [...] }' };
+
+  const chosen = [];
+  for (const side of SIDES) {
+    const list = Array.isArray(actions[side]) ? actions[side] : [];
+    const incoming = [];
+    for (let pos = 0; pos < ACTIVE; pos++) {
+      const mon = monAt(state, side, pos);
+      if (!mon || mon.fainted) continue;
+      const where = `Side ${side.toUpperCase()} position ${pos + 1}`;
+      const action = list[pos];
+      if (!action || typeof action !== 'object') return { error: `${where}: an action is required` };
+
+      if (action.switch !== undefined && action.switch !== null) {
+        const { team, active } = state.sides[side];
+        const index = team.findIndex(m => m.slot === Number(action.switch));
+        if (index === -1) return { error: `${where}: no team member in slot ${action.switch}` };
+        if (team[index].fainted) return { error: `${where}: ${team[index].name} has fainted` };
+        if (active.includes(index)) return { error: `${where}: ${team[index].name} is already in battle` };
+        if (incoming.includes(index)) return { error: `${where}: ${team[index].name} is already switching in` };
+        incoming.push(index);
+        chosen.push({ type: 'switch', side, pos, index, mon });
+        continue;
+      }
+
+      const move = mon.moves.find(m => m.name.toLowerCase() === String(action.move || '').trim().toLowerCase());
+      if (!move) return { error: `${where}: ${mon.name} doesn't know "${action.move}"` };
+      const target = action.target === undefined || action.target === null ? null : Number(action.target);
+      if (target !== null && !(target >= 0 && target < ACTIVE && Number.isInteger(target))) {
+        return { error: `${where}: target must be 0 or 1 (the opposing position)` };
+      }
+      chosen.push({ type: 'move', side, pos, move: move.name, target, mon });
+    }
+  }
+  return { actions: chosen };
+}
+
+// Who a move hits: the chosen foe (or the other one if it is gone), both foes, or everyone else
+function resolveTargets(state, action, move) {
+  const foes = activeOn(state, foeOf(action.side));
+  const kind = moveTarget(move);
+  if (kind === 'foes') return foes;
+  if (kind === 'all') return [...foes, ...activeOn(state, action.side).filter(r => r.mon !== action.mon)];
+  const chosen = foes.find(f => f.pos === action.target);
+  return chosen ? [chosen] : foes.slice(0, 1);
+}
+
+function inflictStatus(state, target, status, events) {
+  const { side, mon } = target;
+  if (mon.status || STATUS_IMMUNE[status].some(t => mon.types.includes(t))) {
+    events.push(`It doesn't affect ${label(side, mon)}...`);
+    return;
+  }
+  mon.status = status;
+  if (status === 'slp') mon.sleep_turns = 1 + randomInt(state, MAX_SLEEP_TURNS);
+  if (status === 'tox') mon.toxic_turns = 0;
+  events.push(`${label(side, mon)} ${STATUS_TEXT[status]}!`);
+}
+
+function useStatusMove(state, action, move, effect, events) {
+  const user = action.mon;
+  if (effect.protect) {
+    if (random(state) < 1 / Math.pow(3, user.protect_streak)) {
+      user.protected = true;
+      user.protect_streak++;
+      events.push(`${label(action.side, user)} protected itself!`);
+    } else {
+      user.protect_streak = 0;
+      events.push('But it failed!');
+    }
+    return;
+  }
+  user.protect_streak = 0;
+  if (effect.weather) return setWeather(state, effect.weather, events);
+  if (effect.boosts) return applyBoosts(action.side, user, effect.boosts, events);
+
+  const [target] = resolveTargets(state, action, move);
+  if (!target) return events.push('But there was no target...');
+  if (target.mon.protected) return events.push(`${label(target.side, target.mon)} protected itself!`);
+  if (move.accuracy && random(state) * 100 >= move.accuracy) return events.push(`${label(target.side, target.mon)} avoided the attack!`);
+  if ((effect.powder && target.mon.types.includes('Grass')) || (move.type === 'Electric' && typeChart.effectiveness(move.type, target.mon.types) === 0)) {
+    return events.push(`It doesn't affect ${label(target.side, target.mon)}...`);
+  }
+  inflictStatus(state, target, effect.status, events);
+}
+
+function useDamagingMove(state, action, move, events) {
+  const user = action.mon;
+  user.protect_streak = 0;
+  if (move.name === 'Fake Out' && user.entered_turn !== state.turn - 1) return events.push('But it failed!');
+
+  const targets = resolveTargets(state, action, move);
+  if (!targets.length) return events.push('But there was no target...');
+
+  const field = { ...dmgcalc.normalizeField({ weather: state.weather }).field, spread: targets.length > 1 };
+  let dealt = 0;
+  targets.forEach(({ side, mon }) => {
+    if (mon.protected) return events.push(`${label(side, mon)} protected itself!`);
+    if (move.accuracy && random(state) * 100 >= move.accuracy) return events.push(`${label(side, mon)} avoided the attack!`);
+
+    const typeMultiplier = typeChart.effectiveness(move.type, mon.types);
+    const { result } = dmgcalc.rollHit({ attacker: user, defender: mon, move, field, typeMultiplier });
+    if (result.type_multiplier === 0) return events.push(`It doesn't affect ${label(side, mon)}...`);
+
+    let damage = result.rolls[randomInt(state, result.rolls.length)];
+    if (user.status === 'brn' && move.category === 'Physical' && user.ability !== 'Guts') damage = Math.floor(damage / 2);
+    damage = Math.min(mon.hp, Math.max(1, damage));
+    mon.hp -= damage;
+    dealt += damage;
+
+    if (result.type_multiplier > 1) events.push(`It's super effective on ${label(side, mon)}!`);
+    else if (result.type_multiplier < 1) events.push(`It's not very effective on ${label(side, mon)}...`);
+    events.push(`${label(side, mon)} lost ${damage} HP (${dmgcalc.toPercent(damage, mon.stats.hp)}%).`);
+
+    if (mon.hp === 0) return faint(side, mon, events);
+    if (move.name === 'Fake Out') mon.flinched = true;
+    if (mon.item === 'Sitrus Berry' && mon.hp <= mon.stats.hp / 2) {
+      const heal = Math.floor(mon.stats.hp / 4);
+      mon.hp = Math.min(mon.stats.hp, mon.hp + heal);
+      mon.item = null;
+      events.push(`${label(side, mon)} restored ${heal} HP with its Sitrus Berry!`);
+    }
+  });
+
+  if (dealt > 0 && user.item === 'Life Orb' && !user.fainted && user.ability !== 'Magic Guard') {
+    chip(action.side, user, 1 / 10, 'lost some of its HP to its Life Orb', events);
+  }
+}
+
+function useMove(state, action, events) {
+  const user = action.mon;
+  const name = label(action.side, user);
+  if (user.flinched) return events.push(`${name} flinched and couldn't move!`);
+  if (user.status === 'slp') {
+    if (user.sleep_turns > 0) {
+      user.sleep_turns--;
+      return events.push(`${name} is fast asleep.`);
+    }
+    user.status = null;
+    events.push(`${name} woke up!`);
+  }
+  if (user.status === 'par' && random(state) < PARALYSIS_CHANCE) return events.push(`${name} is paralyzed! It can't move!`);
+
+  const move = user.moves.find(m => m.name === action.move);
+  events.push(`${name} used ${move.name}!`);
+  const effect = STATUS_MOVES[move.name];
+  if (effect) return useStatusMove(state, action, move, effect, events);
+  if (!move.power || !['Physical', 'Special'].includes(move.category)) {
+    user.protect_streak = 0;
+    return events.push('But nothing happened! (this move is not simulated)');
+  }
+  useDamagingMove(state, action, move, events);
+}
+
+function endOfTurn(state, events) {
+  const active = SIDES.flatMap(side => activeOn(state, side));
+
+  if (state.weather) {
+    if (state.weather === 'Sand') {
+      active.forEach(({ side, mon }) => {
+        if (mon.fainted || mon.types.some(t => SAND_IMMUNE_TYPES.includes(t)) || SAND_IMMUNE_ABILITIES.includes(mon.ability)) return;
+        chip(side, mon, 1 / 16, 'is buffeted by the sandstorm', events);
+      });
+    }
+    state.weather_turns--;
+    if (state.weather_turns <= 0) {
+      events.push(WEATHER_END[state.weather]);
+      state.weather = null;
+      state.weather_turns = 0;
+    }
+  }
+
+  active.forEach(({ side, mon }) => {
+    if (mon.fainted || mon.ability === 'Magic Guard') return;
+    if (mon.status === 'brn') chip(side, mon, 1 / 16, 'was hurt by its burn', events);
+    else if (mon.status === 'psn') chip(side, mon, 1 / 8, 'was hurt by poison', events);
+    else if (mon.status === 'tox') {
+      mon.toxic_turns++;
+      chip(side, mon, mon.toxic_turns / 16, 'was hurt by poison', events);
+    }
+  });
+
+  SIDES.forEach(side => state.sides[side].team.forEach(mon => {
+    mon.protected = false;
+    mon.flinched = false;
+  }));
+  if (!checkWinner(state)) replaceFainted(state, events);
+}
+
+// Play one turn of validated actions: switches first, then moves by priority and speed
+function runTurn(state, actions) {
+  state.turn++;
+  const events = [];
+
+  actions
+    .filter(a => a.type === 'switch')
+    .sort((x, y) => speedOf(y.mon) - speedOf(x.mon))
+    .forEach(a => switchIn(state, a.side, a.pos, a.index, events));
+
+  const moves = actions
+    .filter(a => a.type === 'move')
+    .map(a => ({ ...a, priority: MOVE_PRIORITY[a.move] || 0, speed: speedOf(a.mon), tie: random(state) }))
+    .sort((x, y) => y.priority - x.priority || y.speed - x.speed || x.tie - y.tie);
+
+  for (const action of moves) {
+    if (action.mon.fainted) continue;
+    useMove(state, action, events);
+    if (checkWinner(state)) break;
+  }
+  if (!state.winner) endOfTurn(state, events);
+  if (state.winner) {
+    events.push(state.winner === 'draw' ? 'The battle ended in a draw!' : `Side ${state.winner.toUpperCase()} won the battle!`);
+  }
+
+  state.log.push({ turn: state.turn, events });
+  return events;
+}
+
+// What the client sees: everything except the generator state
+function battleView(state) {
+  const sides = {};
+  SIDES.forEach(side => {
+    const { name, team, active } = state.sides[side];
+    sides[side] = {
+      name,
+      active: active.slice(),
+      team: team.map((mon, index) => ({
+        slot: mon.slot,
+        name: mon.name,
+        level: mon.level,
+        types: mon.types,
+        ability: mon.ability,
+        item: mon.item,
+        hp: mon.hp,
+        max_hp: mon.stats.hp,
+        status: mon.status,
+        boosts: mon.boosts,
+        fainted: mon.fainted,
+        position: active.indexOf(index) === -1 ? null : active.indexOf(index),
+        moves: mon.moves.map(m => ({ ...m, priority: MOVE_PRIORITY[m.name] || 0, target: moveTarget(m) }))
+      }))
+    };
+  });
+  return {
+    seed: state.seed,
+    turn: state.turn,
+    weather: state.weather,
+    weather_turns: state.weather_turns,
+    winner: state.winner,
+    sides
+  };
+}
+
+module.exports = {
+  MOVE_PRIORITY,
+  createBattle,
+  validateActions,
+  runTurn,
+  battleView
+};
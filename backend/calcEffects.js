@@ -0,0 +1,155 @@
+// Damage-affecting abilities and held items for the damage calculator.
+// Support a new effect by adding an entry to ABILITIES or ITEMS. Entries may define:
+//   onAttack(ctx) / onDefend(ctx) - modifiers ({ stage, value }) for dmgcalc.calcDamage when the holder attacks / is hit
+//   stab                          - replaces the usual 1.5x STAB multiplier
+//   ungrounded / grounded         - overrides whether the holder touches the ground (terrain, Ground moves)
+//   ignoresStages                 - holder ignores the opponent's stat stages (Unaware)
+//   intimidate                    - stage changes per Intimidate received, instead of -1 Atk
+// ctx: { move: { name, type, category, power }, attacker, defender, field, typeMultiplier }
+
+const SUPER_EFFECTIVE_BOOST = 4915 / 4096;
+
+const physical = ctx => ctx.move.category === 'Physical';
+const special = ctx => ctx.move.category === 'Special';
+const superEffective = ctx => ctx.typeMultiplier > 1;
+const immuneTo = type => ctx => ctx.move.type === type ? [{ stage: 'type', value: 0 }] : [];
+const typeBoost = (type, value, stage = 'attack') => ctx => ctx.move.type === type ? [{ stage, value }] : [];
+const noStatDrop = { intimidate: {} };
+
+const ABILITIES = {
+  Adaptability: { stab: 2 },
+  Technician: { onAttack: ctx => ctx.move.power <= 60 ? [{ stage: 'power', value: 1.5 }] : [] },
+  'Huge Power': { onAttack: ctx => physical(ctx) ? [{ stage: 'attack', value: 2 }] : [] },
+  'Pure Power': { onAttack: ctx => physical(ctx) ? [{ stage: 'attack', value: 2 }] : [] },
+  Hustle: { onAttack: ctx => physical(ctx) ? [{ stage: 'attack', value: 1.5 }] : [] },
+  'Solar Power': { onAttack: ctx => special(ctx) && ctx.field.weather === 'Sun' ? [{ stage: 'attack', value: 1.5 }] : [] },
+  Transistor: { onAttack: typeBoost('Electric', 5325 / 4096) },
+  "Dragon's Maw": { onAttack: typeBoost('Dragon', 1.5) },
+  Steelworker: { onAttack: typeBoost('Steel', 1.5) },
+  'Water Bubble': { onAttack: typeBoost('Water', 2), onDefend: ctx => ctx.move.type === 'Fire' ? [{ stage: 'attack', value: 0.5 }] : [] },
+  'Tinted Lens': { onAttack: ctx => ctx.typeMultiplier > 0 && ctx.typeMultiplier < 1 ? [{ stage: 'final', value: 2 }] : [] },
+  Sniper: { onAttack: ctx => ctx.field.critical ? [{ stage: 'final', value: 1.5 }] : [] },
+  Unaware: { ignoresStages: true },
+
+  'Thick Fat': { onDefend: ctx => ['Fire', 'Ice'].includes(ctx.move.type) ? [{ stage: 'attack', value: 0.5 }] : [] },
+  'Fur Coat': { onDefend: ctx => physical(ctx) ? [{ stage: 'defence', value: 2 }] : [] },
+  'Ice Scales': { onDefend: ctx => special(ctx) ? [{ stage: 'final', value: 0.5 }] : [] },
+  Multiscale: { onDefend: () => [{ stage: 'final', value: 0.5 }] },
+  'Shadow Shield': { onDefend: () => [{ stage: 'final', value: 0.5 }] },
+  Filter: { onDefend: ctx => superEffective(ctx) ? [{ stage: 'final', value: 0.75 }] : [] },
+  'Solid Rock': { onDefend: ctx => superEffective(ctx) ? [{ stage: 'final', value: 0.75 }] : [] },
+  'Prism Armor': { onDefend: ctx => superEffective(ctx) ? [{ stage: 'final', value: 0.75 }] : [] },
+  Levitate: { ungrounded: true, onDefend: immuneTo('Ground') },
+  'Flash Fire': { onDefend: immuneTo('Fire') },
+  'Water Absorb': { onDefend: immuneTo('Water') },
+  'Storm Drain': { onDefend: immuneTo('Water') },
+  'Dry Skin': { onDefend: immuneTo('Water') },
+  'Volt Absorb': { onDefend: immuneTo('Electric') },
+  'Lightning Rod': { onDefend: immuneTo('Electric') },
+  'Motor Drive': { onDefend: immuneTo('Electric') },
+  'Sap Sipper': { onDefend: immuneTo('Grass') },
+  'Earth Eater': { onDefend: immuneTo('Ground') },
+  'Well-Baked Body': { onDefend: immuneTo('Fire') },
+
+  // Reactions to Intimidate
+  'Clear Body': noStatDrop,
+  'White Smoke': noStatDrop,
+  'Full Metal Body': noStatDrop,
+  'Hyper Cutter': noStatDrop,
+  'Inner Focus': noStatDrop,
+  Oblivious: noStatDrop,
+  'Own Tempo': noStatDrop,
+  Scrappy: noStatDrop,
+  Defiant: { intimidate: { attack: 1 } },
+  Competitive: { intimidate: { attack: -1, sp_atk: 2 } }
+};
+
+// Type-boosting held items and the type-resist berries
+const TYPE_ITEMS = {
+  Charcoal: 'Fire', 'Mystic Water': 'Water', 'Miracle Seed': 'Grass', Magnet: 'Electric', 'Never-Melt Ice': 'Ice',
+  'Black Belt': 'Fighting', 'Poison Barb': 'Poison', 'Soft Sand': 'Ground', 'Sharp Beak': 'Flying', 'Twisted Spoon': 'Psychic',
+  'Silver Powder': 'Bug', 'Hard Stone': 'Rock', 'Spell Tag': 'Ghost', 'Dragon Fang': 'Dragon', 'Black Glasses': 'Dark',
+  'Metal Coat': 'Steel', 'Silk Scarf': 'Normal', 'Fairy Feather': 'Fairy'
+};
+const RESIST_BERRIES = {
+  'Occa Berry': 'Fire', 'Passho Berry': 'Water', 'Rindo Berry': 'Grass', 'Wacan Berry': 'Electric', 'Yache Berry': 'Ice',
+  'Chople Berry': 'Fighting', 'Kebia Berry': 'Poison', 'Shuca Berry': 'Ground', 'Coba Berry': 'Flying', 'Payapa Berry': 'Psychic',
+  'Tanga Berry': 'Bug', 'Charti Berry': 'Rock', 'Kasib Berry': 'Ghost', 'Haban Berry': 'Dragon', 'Colbur Berry': 'Dark',
+  'Babiri Berry': 'Steel', 'Roseli Berry': 'Fairy'
+};
+
+const ITEMS = {
+  'Choice Band': { onAttack: ctx => physical(ctx) ? [{ stage: 'attack', value: 1.5 }] : [] },
+  'Choice Specs': { onAttack: ctx => special(ctx) ? [{ stage: 'attack', value: 1.5 }] : [] },
+  'Life Orb': { onAttack: () => [{ stage: 'final', value: 5324 / 4096 }] },
+  'Expert Belt': { onAttack: ctx => superEffective(ctx) ? [{ stage: 'final', value: SUPER_EFFECTIVE_BOOST }] : [] },
+  'Assault Vest': { onDefend: ctx => special(ctx) ? [{ stage: 'defence', value: 1.5 }] : [] },
+  Eviolite: { onDefend: () => [{ stage: 'defence', value: 1.5 }] },
+  'Air Balloon': { ungrounded: true, onDefend: immuneTo('Ground') },
+  'Iron Ball': { grounded: true },
+  'Clear Amulet': noStatDrop,
+  'Chilan Berry': { onDefend: ctx => ctx.move.type === 'Normal' ? [{ stage: 'final', value: 0.5 }] : [] }
+};
+Object.entries(TYPE_ITEMS).forEach(([item, type]) => {
+  ITEMS[item] = { onAttack: typeBoost(type, SUPER_EFFECTIVE_BOOST, 'power') };
+});
+Object.entries(RESIST_BERRIES).forEach(([item, type]) => {
+  ITEMS[item] = { onDefend: ctx => ctx.move.type === type && superEffective(ctx) ? [{ stage: 'final', value: 0.5 }] : [] };
+});
+
+function effectsOf(pokemon) {
+  const list = [];
+  if (pokemon.ability && ABILITIES[pokemon.ability]) list.push({ name: pokemon.ability, ...ABILITIES[pokemon.ability] });
+  if (pokemon.item && ITEMS[pokemon.item]) list.push({ name: pokemon.item, ...ITEMS[pokemon.item] });
+  return list;
+}
+
+function isGrounded(pokemon) {
+  const effects = effectsOf(pokemon);
+  if (effects.some(e => e.grounded)) return true;
+  if (effects.some(e => e.ungrounded)) return false;
+  return !(pokemon.types || []).includes('Flying');
+}
+
+function ignoresStages(pokemon) {
+  return effectsOf(pokemon).some(e => e.ignoresStages);
+}
+
+// Stage changes from being Intimidated `count` times
+function intimidateStages(pokemon, count) {
+  const stages = { attack: -count };
+  effectsOf(pokemon).forEach(e => {
+    if (!e.intimidate) return;
+    stages.attack = 0;
+    Object.entries(e.intimidate).forEach(([stat, n]) => { stages[stat] = (stages[stat] || 0) + n * count; });
+  });
+  return stages;
+}
+
+function stabFor(pokemon, moveType) {
+  if (!(pokemon.types || []).includes(moveType)) return 1;
+  const override = effectsOf(pokemon).find(e => e.stab);
+  return override ? override.stab : 1.5;
+}
+
+// All ability/item modifiers for one hit, named after the effect that produced them
+function effectModifiers(ctx) {
+  const mods = [];
+  const collect = (pokemon, hook) => effectsOf(pokemon).forEach(e => {
+    if (!e[hook]) return;
+    e[hook](ctx).forEach(m => mods.push({ name: e.name, ...m }));
+  });
+  collect(ctx.attacker, 'onAttack');
+  collect(ctx.defender, 'onDefend');
+  return mods;
+}
+
+module.exports = {
+  ABILITIES,
+  ITEMS,
+  isGrounded,
+  ignoresStages,
+  intimidateStages,
+  stabFor,
+  effectModifiers
+};
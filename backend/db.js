@@ -1,16 +1,19 @@
 const mysql = require('mysql2');
-const db=mysql.createConnection({
+// A pool so multi-statement writes can take their own connection for a transaction
+const db=mysql.createPool({
     host:'127.0.0.1',
     port:3310,
     user:'root',
     password:'123456',
-    database:'PokemonVGC'
+    database:'PokemonVGC',
+    connectionLimit:10
 });
-db.connect((err)=>{
+db.getConnection((err, conn)=>{
     if (err){
         console.error('Database connection failed:', err);
         return;
     }
+    conn.release();
     console.log('Connected to MySQL database(3310')
 });
-module.exports=db;
\ No newline at end of file
+module.exports=db;
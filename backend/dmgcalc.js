@@ -0,0 +1,398 @@
+// Damage calculator helpers shared by the /api/dmgcalc routes.
+// Stat keys follow the bst table columns: hp, attack, defence, sp_atk, sp_def, spd.
+
+const calcEffects = require('./calcEffects');
+
+const STAT_KEYS = ['hp', 'attack', 'defence', 'sp_atk', 'sp_def', 'spd'];
+const MAX_EV = 252;
+const MAX_EV_TOTAL = 510;
+const MAX_IV = 31;
+const BOOST_KEYS = ['attack', 'defence', 'sp_atk', 'sp_def', 'spd'];
+const MAX_STAGE = 6;
+
+// Fill missing stats with a default and coerce everything to numbers
+function normalizeSpread(spread, fallback) {
+  const out = {};
+  STAT_KEYS.forEach(k => {
+    const raw = spread ? spread[k] : undefined;
+    out[k] = raw === undefined || raw === null || raw === '' ? fallback : Number(raw);
+  });
+  return out;
+}
+
+// Normalize a calc set ({ level, evs, ivs, nature }) and return an error message if it is invalid
+function normalizeSet(set, label) {
+  const level = Number(set.level === undefined || set.level === null || set.level === '' ? 50 : set.level);
+  if (!Number.isInteger(level) || level < 1 || level > 100) return { error: `${label} level must be a whole number between 1 and 100` };
+
+  const evs = normalizeSpread(set.evs, 0);
+  const ivs = normalizeSpread(set.ivs, MAX_IV);
+  for (const k of STAT_KEYS) {
+    if (!Number.isInteger(evs[k]) || evs[k] < 0 || evs[k] > MAX_EV) return { error: `${label} ${k} EVs must be between 0 and ${MAX_EV}` };
+    if (!Number.isInteger(ivs[k]) || ivs[k] < 0 || ivs[k] > MAX_IV) return { error: `${label} ${k} IVs must be between 0 and ${MAX_IV}` };
+  }
+  const evTotal = STAT_KEYS.reduce((sum, k) => sum + evs[k], 0);
+  if (evTotal > MAX_EV_TOTAL) return { error: `${label} EV total is ${evTotal} (max ${MAX_EV_TOTAL})` };
+
+  const boosts = {};
+  for (const k of BOOST_KEYS) {
+    const raw = set.boosts ? set.boosts[k] : undefined;
+    boosts[k] = raw === undefined || raw === null || raw === '' ? 0 : Number(raw);
+    if (!Number.isInteger(boosts[k]) || Math.abs(boosts[k]) > MAX_STAGE) return { error: `${label} ${k} stage must be between -${MAX_STAGE} and +${MAX_STAGE}` };
+  }
+  const intimidated = Number(set.intimidated || 0);
+  if (!Number.isInteger(intimidated) || intimidated < 0 || intimidated > 3) return { error: `${label} intimidated must be between 0 and 3` };
+
+  const text = v => v === undefined || v === null ? '' : String(v).trim();
+  const nature = text(set.nature);
+  return { set: { level, evs, ivs, nature: nature || 'Hardy', ability: text(set.ability) || null, item: text(set.item) || null, boosts, intimidated } };
+}
+
+// Nature modifier as a percentage (110 / 100 / 90) so stat math stays in integers
+function naturePercent(nature, stat) {
+  if (!nature || nature.increased_stat === nature.decreased_stat) return 100;
+  if (nature.increased_stat === stat) return 110;
+  if (nature.decreased_stat === stat) return 90;
+  return 100;
+}
+
+function calcStat(stat, base, iv, ev, level, percent = 100) {
+  const core = Math.floor((2 * base + iv + Math.floor(ev / 4)) * level / 100);
+  if (stat === 'hp') return base === 1 ? 1 : core + level + 10;
+  return Math.floor((core + 5) * percent / 100);
+}
+
+// Real stats for a set; nature is a row from the nature table (or null for neutral)
+function calcStats(baseStats, set, nature) {
+  const stats = {};
+  STAT_KEYS.forEach(k => {
+    stats[k] = calcStat(k, Number(baseStats[k]) || 0, set.ivs[k], set.evs[k], set.level, naturePercent(nature, k));
+  });
+  return stats;
+}
+
+function clampStage(stage) {
+  return Math.max(-MAX_STAGE, Math.min(MAX_STAGE, stage));
+}
+
+// Stat after a -6..+6 stage: +1 is x1.5, -1 is x2/3, and so on
+function applyStage(stat, stage) {
+  const s = clampStage(stage);
+  return s >= 0 ? Math.floor(stat * (2 + s) / 2) : Math.floor(stat * 2 / (2 - s));
+}
+
+function baseDamage(level, power, attack, defence) {
+  return Math.floor(Math.floor(Math.floor(2 * level / 5 + 2) * power * attack / (defence || 1)) / 50) + 2;
+}
+
+// Round half down, as the games do when applying 4096-based modifiers
+function pokeRound(value) {
+  return value % 1 > 0.5 ? Math.ceil(value) : Math.floor(value);
+}
+
+const WEATHERS = ['Sun', 'Rain', 'Sand', 'Snow'];
+const TERRAINS = ['Electric', 'Grassy', 'Psychic', 'Misty'];
+const FIELD_FLAGS = ['reflect', 'light_screen', 'aurora_veil', 'helping_hand', 'friend_guard', 'spread', 'critical'];
+
+// Screens and Friend Guard use the doubles values
+const SCREEN_MULTIPLIER = 2732 / 4096;
+const FRIEND_GUARD_MULTIPLIER = 3072 / 4096;
+const TERRAIN_BOOST = 5325 / 4096;
+
+// Normalize the field object sent with a calc; returns { field } or { error }
+function normalizeField(field) {
+  const input = field && typeof field === 'object' ? field : {};
+  const out = { weather: null, terrain: null };
+  if (input.weather) {
+    out.weather = WEATHERS.find(w => w.toLowerCase() === String(input.weather).toLowerCase());
+    if (!out.weather) return { error: `Unknown weather "${input.weather}" (expected ${WEATHERS.join(', ')})` };
+  }
+  if (input.terrain) {
+    out.terrain = TERRAINS.find(t => t.toLowerCase() === String(input.terrain).toLowerCase());
+    if (!out.terrain) return { error: `Unknown terrain "${input.terrain}" (expected ${TERRAINS.join(', ')})` };
+  }
+  FIELD_FLAGS.forEach(flag => { out[flag] = !!input[flag]; });
+  return { field: out };
+}
+
+// Modifiers contributed by the field state.
+// Each modifier is { name, stage, value } where stage is one of:
+//   power   - multiplies the move's base power
+//   attack  - multiplies the attacking stat
+//   defence - multiplies the defending stat
+//   base    - applied to base damage before the random roll (floor: true truncates instead of rounding)
+//   type    - multiplies type effectiveness (0 for ability/item immunities)
+//   final   - applied after STAB and type effectiveness
+function fieldModifiers(field, { move, attacker, defender }) {
+  const mods = [];
+  const physical = move.category === 'Physical';
+
+  if (field.helping_hand) mods.push({ name: 'Helping Hand', stage: 'power', value: 1.5 });
+
+  if (field.terrain && calcEffects.isGrounded(attacker)) {
+    if (['Electric', 'Grassy', 'Psychic'].includes(field.terrain) && move.type === field.terrain) {
+      mods.push({ name: `${field.terrain} Terrain`, stage: 'power', value: TERRAIN_BOOST });
+    }
+  }
+  if (field.terrain && calcEffects.isGrounded(defender)) {
+    if (field.terrain === 'Misty' && move.type === 'Dragon') mods.push({ name: 'Misty Terrain', stage: 'power', value: 0.5 });
+    if (field.terrain === 'Grassy' && ['Earthquake', 'Bulldoze'].includes(move.name)) mods.push({ name: 'Grassy Terrain', stage: 'power', value: 0.5 });
+  }
+
+  if (field.weather === 'Sand' && !physical && (defender.types || []).includes('Rock')) mods.push({ name: 'Sandstorm', stage: 'defence', value: 1.5 });
+  if (field.weather === 'Snow' && physical && (defender.types || []).includes('Ice')) mods.push({ name: 'Snow', stage: 'defence', value: 1.5 });
+
+  if (field.spread) mods.push({ name: 'Spread move', stage: 'base', value: 0.75 });
+  if (field.weather === 'Sun' && move.type === 'Fire') mods.push({ name: 'Sun', stage: 'base', value: 1.5 });
+  if (field.weather === 'Sun' && move.type === 'Water') mods.push({ name: 'Sun', stage: 'base', value: 0.5 });
+  if (field.weather === 'Rain' && move.type === 'Water') mods.push({ name: 'Rain', stage: 'base', value: 1.5 });
+  if (field.weather === 'Rain' && move.type === 'Fire') mods.push({ name: 'Rain', stage: 'base', value: 0.5 });
+  if (field.critical) mods.push({ name: 'Critical hit', stage: 'base', value: 1.5, floor: true });
+
+  // Critical hits ignore screens; Aurora Veil does not stack with Reflect/Light Screen
+  if (!field.critical) {
+    if (field.aurora_veil) mods.push({ name: 'Aurora Veil', stage: 'final', value: SCREEN_MULTIPLIER });
+    else if (field.reflect && physical) mods.push({ name: 'Reflect', stage: 'final', value: SCREEN_MULTIPLIER });
+    else if (field.light_screen && !physical) mods.push({ name: 'Light Screen', stage: 'final', value: SCREEN_MULTIPLIER });
+  }
+  if (field.friend_guard) mods.push({ name: 'Friend Guard', stage: 'final', value: FRIEND_GUARD_MULTIPLIER });
+
+  return mods;
+}
+
+function chainValue(mods, stage) {
+  return mods.filter(m => m.stage === stage).reduce((acc, m) => acc * m.value, 1);
+}
+
+// Run the full damage formula for one hit and return the base damage and the 16 rolls (85%..100%)
+function calcDamage({ level, power, attack, defence, stab, typeMultiplier, mods = [] }) {
+  const bp = Math.max(1, pokeRound(power * chainValue(mods, 'power')));
+  const atk = Math.max(1, pokeRound(attack * chainValue(mods, 'attack')));
+  const dfn = Math.max(1, pokeRound(defence * chainValue(mods, 'defence')));
+
+  let base = baseDamage(level, bp, atk, dfn);
+  mods.filter(m => m.stage === 'base').forEach(m => {
+    base = m.floor ? Math.floor(base * m.value) : pokeRound(base * m.value);
+  });
+  const finalValue = chainValue(mods, 'final');
+  const effectiveness = typeMultiplier * chainValue(mods, 'type');
+
+  const rolls = [];
+  for (let r = 85; r <= 100; r++) {
+    let d = Math.floor(base * r / 100);
+    d = pokeRound(d * stab);
+    d = Math.floor(d * effectiveness);
+    d = pokeRound(d * finalValue);
+    if (effectiveness > 0) d = Math.max(1, d);
+    rolls.push(d);
+  }
+  return { power: bp, attack: atk, defence: dfn, base_damage: base, type_multiplier: effectiveness, rolls };
+}
+
+const STAGE_ORDER = ['power', 'attack', 'defence', 'base', 'stab', 'type', 'final'];
+
+// Stages, modifiers and damage rolls for one hit, without the KO analysis; takes calculateHit's input
+function rollHit({ attacker, defender, move, field, typeMultiplier }) {
+  const physical = move.category === 'Physical';
+  const atkKey = physical ? 'attack' : 'sp_atk';
+  const defKey = physical ? 'defence' : 'sp_def';
+
+  // Stat stages, including Intimidate, Unaware and crits ignoring unfavourable stages
+  const intimidate = calcEffects.intimidateStages(attacker, attacker.intimidated || 0);
+  let attackStage = calcEffects.ignoresStages(defender) ? 0 : clampStage((attacker.boosts ? attacker.boosts[atkKey] : 0) + (intimidate[atkKey] || 0));
+  let defenceStage = calcEffects.ignoresStages(attacker) ? 0 : clampStage(defender.boosts ? defender.boosts[defKey] : 0);
+  if (field.critical) {
+    attackStage = Math.max(0, attackStage);
+    defenceStage = Math.min(0, defenceStage);
+  }
+
+  const ctx = { move, attacker, defender, field, typeMultiplier };
+  const mods = [...fieldModifiers(field, ctx), ...calcEffects.effectModifiers(ctx)];
+  const stab = calcEffects.stabFor(attacker, move.type);
+  const result = calcDamage({
+    level: attacker.level,
+    power: move.power,
+    attack: applyStage(attacker.stats[atkKey], attackStage),
+    defence: applyStage(defender.stats[defKey], defenceStage),
+    stab,
+    typeMultiplier,
+    mods
+  });
+  return { result, mods, stab, atkKey, defKey, attackStage, defenceStage };
+}
+
+// Full calc for one move from attacker into defender.
+// Both sides are loaded sets ({ level, stats, types, ability, item, boosts, intimidated });
+// move is { name, type, category, power } and typeMultiplier comes from the type chart.
+function calculateHit(hit) {
+  const { attacker, defender, typeMultiplier } = hit;
+  const { result, mods, stab, atkKey, defKey, attackStage, defenceStage } = rollHit(hit);
+
+  // Everything that touched the number, in the order it was applied
+  const modifiers = [
+    ...mods.map(({ name, stage, value }) => ({ name, stage, value })),
+    ...(stab !== 1 ? [{ name: 'STAB', stage: 'stab', value: stab }] : []),
+    { name: 'Type effectiveness', stage: 'type', value: typeMultiplier }
+  ].sort((a, b) => STAGE_ORDER.indexOf(a.stage) - STAGE_ORDER.indexOf(b.stage));
+
+  const rolls = result.rolls;
+  const hp = defender.stats.hp;
+  const min = rolls[0];
+  const max = rolls[rolls.length - 1];
+  return {
+    damage: max,
+    rolls,
+    min_damage: min,
+    max_damage: max,
+    defender_hp: hp,
+    min_percent: toPercent(min, hp),
+    max_percent: toPercent(max, hp),
+    ko: koChance(rolls, hp),
+    details: {
+      base_damage: result.base_damage,
+      base_power: result.power,
+      stab,
+      type_multiplier: result.type_multiplier,
+      attack_stat: attacker.stats[atkKey],
+      defence_stat: defender.stats[defKey],
+      attack_stage: attackStage,
+      defence_stage: defenceStage,
+      modifiers
+    }
+  };
+}
+
+function toPercent(damage, hp) {
+  return Math.floor(damage / hp * 1000) / 10;
+}
+
+// Smallest number of hits that can KO and the chance it does, assuming every roll is equally likely
+function koChance(rolls, hp, maxHits = 9) {
+  if (!rolls.length || rolls[rolls.length - 1] <= 0) return { hits: null, chance: 0, text: 'No damage' };
+
+  // dist: total damage so far (capped at hp) -> number of roll sequences reaching it
+  let dist = new Map([[0, 1]]);
+  let outcomes = 1;
+  for (let hits = 1; hits <= maxHits; hits++) {
+    const next = new Map();
+    dist.forEach((count, total) => {
+      rolls.forEach(roll => {
+        const t = Math.min(hp, total + roll);
+        next.set(t, (next.get(t) || 0) + count);
+      });
+    });
+    dist = next;
+    outcomes *= rolls.length;
+    const kos = dist.get(hp) || 0;
+    if (kos > 0) {
+      const label = hits === 1 ? 'OHKO' : `${hits}HKO`;
+      const chance = kos / outcomes;
+      const text = kos === outcomes ? `Guaranteed ${label}` : `${Math.round(chance * 1000) / 10}% chance to ${label}`;
+      return { hits, chance: Math.round(chance * 10000) / 10000, text };
+    }
+  }
+  return { hits: null, chance: 0, text: `Not a KO within ${maxHits} hits` };
+}
+
+// Smallest EV investment (in steps of 4) for which ok(evs) holds, or null if even 252 fails.
+// ok must only get easier to satisfy as EVs go up.
+function minimumEvs(ok) {
+  if (!ok(MAX_EV)) return null;
+  let lo = 0;
+  let hi = MAX_EV / 4;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (ok(mid * 4)) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo * 4;
+}
+
+// Cheapest EV/nature spread for a loaded calc side that meets a goal against every matchup:
+//   'survive' - the side is hit by each matchup's opponent and must live through the highest roll
+//   'ohko'    - the side hits each opponent and the lowest roll must KO
+// matchups: [{ opponent, move, field, typeMultiplier }]. natures: nature rows to try; the first one wins
+// ties and the rest are only tried if they raise a searched stat without lowering another.
+// Only HP (when surviving) and the stats the moves use are searched; other EVs are kept.
+function findMinimumSpread({ pokemon, goal, matchups, natures }) {
+  const survive = goal === 'survive';
+  const statFor = m => {
+    const physical = m.move.category === 'Physical';
+    if (survive) return physical ? 'defence' : 'sp_def';
+    return physical ? 'attack' : 'sp_atk';
+  };
+  const searched = Array.from(new Set(matchups.map(statFor)));
+  const fixed = { ...pokemon.evs };
+  searched.forEach(k => { fixed[k] = 0; });
+  if (survive) fixed.hp = 0;
+  const budget = MAX_EV_TOTAL - STAT_KEYS.reduce((sum, k) => sum + fixed[k], 0);
+
+  const meets = (nature, evs, list) => {
+    const self = { ...pokemon, evs, stats: calcStats(pokemon.base_stats, { ...pokemon, evs }, nature) };
+    return list.every(m => {
+      const hit = { move: m.move, field: m.field, typeMultiplier: m.typeMultiplier };
+      if (survive) {
+        const rolls = rollHit({ ...hit, attacker: m.opponent, defender: self }).result.rolls;
+        return rolls[rolls.length - 1] < self.stats.hp;
+      }
+      const rolls = rollHit({ ...hit, attacker: self, defender: m.opponent }).result.rolls;
+      return rolls[0] >= m.opponent.stats.hp;
+    });
+  };
+
+  const hpOptions = [];
+  for (let ev = 0; ev <= (survive ? Math.min(MAX_EV, budget) : 0); ev += 4) hpOptions.push(ev);
+
+  const statsInPlay = survive ? ['hp', ...searched] : searched;
+  const candidates = natures.filter((n, i) => i === 0 ||
+    (statsInPlay.includes(n.increased_stat) && !statsInPlay.includes(n.decreased_stat)));
+
+  let best = null;
+  candidates.forEach(nature => {
+    hpOptions.forEach(hp => {
+      const evs = { ...fixed, hp: survive ? hp : fixed.hp };
+      let cost = survive ? hp : 0;
+      for (const stat of searched) {
+        const group = matchups.filter(m => statFor(m) === stat);
+        const ev = minimumEvs(v => meets(nature, { ...evs, [stat]: v }, group));
+        if (ev === null) return;
+        evs[stat] = ev;
+        cost += ev;
+      }
+      if (cost > budget || (best && cost >= best.cost)) return;
+      best = { nature: nature.name, evs, cost };
+    });
+  });
+  if (!best) return null;
+
+  const invested = {};
+  statsInPlay.forEach(k => { invested[k] = best.evs[k]; });
+  return { ...best, invested, remaining: budget - best.cost };
+}
+
+module.exports = {
+  STAT_KEYS,
+  MAX_EV,
+  MAX_EV_TOTAL,
+  MAX_IV,
+  BOOST_KEYS,
+  MAX_STAGE,
+  normalizeSpread,
+  normalizeSet,
+  naturePercent,
+  calcStat,
+  calcStats,
+  clampStage,
+  applyStage,
+  baseDamage,
+  pokeRound,
+  normalizeField,
+  fieldModifiers,
+  calcDamage,
+  rollHit,
+  calculateHit,
+  toPercent,
+  koChance,
+  minimumEvs,
+  findMinimumSpread
+};
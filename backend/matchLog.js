@@ -0,0 +1,74 @@
+// Win-rate analytics over a user's recorded games.
+// Logs come from the server as { team_id, team_name, result, our_bring: [names], opponent_species: [names], their_bring: [names] }
+// with the first two brought on each side being the leads.
+
+const RESULTS = ['win', 'loss', 'tie'];
+
+const percent = (count, total) => total ? Math.round(count * 10000 / total) / 100 : 0;
+
+function record() {
+  return { games: 0, wins: 0, losses: 0, ties: 0 };
+}
+
+function addResult(rec, result) {
+  rec.games++;
+  if (result === 'win') rec.wins++;
+  else if (result === 'loss') rec.losses++;
+  else rec.ties++;
+}
+
+// { games, wins, losses, ties, win_rate } with win_rate a percentage of all games
+function withRate(rec) {
+  return { ...rec, win_rate: percent(rec.wins, rec.games) };
+}
+
+const byGames = (a, b) => b.games - a.games || b.win_rate - a.win_rate;
+
+// Leads in a stable order so "A + B" and "B + A" count as the same pair
+const leadPair = bring => bring.slice(0, 2).slice().sort((a, b) => a.localeCompare(b));
+
+function summarizeMatches(logs) {
+  const overall = record();
+  const teams = new Map();
+  const leads = new Map();
+  const opponents = new Map();
+
+  logs.forEach(log => {
+    addResult(overall, log.result);
+
+    if (!teams.has(log.team_id)) teams.set(log.team_id, { team_id: log.team_id, team_name: log.team_name, ...record() });
+    addResult(teams.get(log.team_id), log.result);
+
+    const pair = leadPair(log.our_bring || []);
+    if (pair.length === 2) {
+      const key = `${log.team_id}:${pair.join('|')}`;
+      if (!leads.has(key)) leads.set(key, { team_id: log.team_id, team_name: log.team_name, lead: pair, ...record() });
+      addResult(leads.get(key), log.result);
+    }
+
+    // Record against each species on the opponent's sheet, and separately when it was actually brought
+    const brought = new Set(log.their_bring || []);
+    const theirLeads = new Set((log.their_bring || []).slice(0, 2));
+    Array.from(new Set(log.opponent_species || [])).forEach(species => {
+      if (!opponents.has(species)) opponents.set(species, { species, faced: record(), brought: record(), led: 0 });
+      const entry = opponents.get(species);
+      addResult(entry.faced, log.result);
+      if (brought.has(species)) addResult(entry.brought, log.result);
+      if (theirLeads.has(species)) entry.led++;
+    });
+  });
+
+  return {
+    overall: withRate(overall),
+    teams: Array.from(teams.values()).map(withRate).sort(byGames),
+    lead_pairs: Array.from(leads.values()).map(withRate).sort(byGames),
+    opponents: Array.from(opponents.values())
+      .map(o => ({ species: o.species, ...withRate(o.faced), brought: withRate(o.brought), led: o.led }))
+      .sort((a, b) => byGames(a, b) || a.species.localeCompare(b.species))
+  };
+}
+
+module.exports = {
+  RESULTS,
+  summarizeMatches
+};
@@ -0,0 +1,135 @@
+// Matchup planning between one of our teams and an opponent's team: every pairing is run through
+// the damage calculator, then leads and the four to bring are picked from the results.
+// Members on both sides are calc-ready: { slot, name, level, stats, types, ability, item, boosts, intimidated,
+//   moves: [{ name, type, category, power }] }
+
+const dmgcalc = require('./dmgcalc');
+const typeChart = require('./typeChart');
+
+const BRING = 4;
+const SPEED_BONUS = 10;
+const KEY_HITS = 2;
+const MAX_KEY_INTERACTIONS = 12;
+const CHOICE_SCARF = 1.5;
+
+// Strongest damaging move from attacker into defender, or null if it has none
+function bestHit(attacker, defender, field) {
+  let best = null;
+  attacker.moves.forEach(move => {
+    if (!move.power || !['Physical', 'Special'].includes(move.category)) return;
+    const hit = dmgcalc.calculateHit({
+      attacker,
+      defender,
+      move,
+      field,
+      typeMultiplier: typeChart.effectiveness(move.type, defender.types)
+    });
+    if (!best || hit.max_percent > best.max_percent) {
+      best = { move: move.name, min_percent: hit.min_percent, max_percent: hit.max_percent, ko: hit.ko };
+    }
+  });
+  return best;
+}
+
+// Battle speed: Choice Scarf counts, other field effects are left to the reader
+const speedOf = m => m.item === 'Choice Scarf' ? Math.floor(m.stats.spd * CHOICE_SCARF) : m.stats.spd;
+
+const dealt = hit => hit ? Math.min(100, hit.max_percent) : 0;
+
+// All size-k subsets of list, in order
+function combinations(list, k) {
+  if (k === 0) return [[]];
+  if (list.length < k) return [];
+  const [first, ...rest] = list;
+  return [
+    ...combinations(rest, k - 1).map(c => [first, ...c]),
+    ...combinations(rest, k)
+  ];
+}
+
+// How well a group of our members handles the opponent: for each opposing Pokémon, our best answer's value
+function groupScore(group, values, opponentCount) {
+  let total = 0;
+  for (let j = 0; j < opponentCount; j++) total += Math.max(...group.map(i => values[i][j]));
+  return Math.round(total);
+}
+
+function keyInteractions(rows, attackers, defenders) {
+  const out = [];
+  rows.forEach((row, i) => row.forEach((hit, j) => {
+    if (!hit || !hit.ko.hits || hit.ko.hits > KEY_HITS) return;
+    out.push({
+      attacker: attackers[i].name,
+      defender: defenders[j].name,
+      move: hit.move,
+      min_percent: hit.min_percent,
+      max_percent: hit.max_percent,
+      ko: hit.ko
+    });
+  }));
+  return out
+    .sort((a, b) => b.max_percent - a.max_percent)
+    .slice(0, MAX_KEY_INTERACTIONS);
+}
+
+function planMatchup(ours, theirs, field) {
+  // offense[i][j]: our i into their j; defense[i][j]: their j into our i
+  const offense = ours.map(o => theirs.map(t => bestHit(o, t, field)));
+  const defense = ours.map(o => theirs.map(t => bestHit(t, o, field)));
+  const faster = ours.map(o => theirs.map(t => Math.sign(speedOf(o) - speedOf(t))));
+
+  // Damage we deal minus damage we take, plus a bonus for moving first
+  const values = ours.map((o, i) => theirs.map((t, j) => dealt(offense[i][j]) - dealt(defense[i][j]) + faster[i][j] * SPEED_BONUS));
+
+  const indexes = ours.map((o, i) => i);
+  const bringGroups = combinations(indexes, Math.min(BRING, ours.length))
+    .map(group => ({ group, score: groupScore(group, values, theirs.length) }))
+    .sort((a, b) => b.score - a.score);
+  const bring = bringGroups[0].group;
+
+  const leads = combinations(bring, Math.min(2, bring.length))
+    .map(pair => ({
+      slots: pair.map(i => ours[i].slot),
+      lead: pair.map(i => ours[i].name),
+      back: bring.filter(i => !pair.includes(i)).map(i => ours[i].name),
+      score: groupScore(pair, values, theirs.length)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 3);
+
+  const speed = [
+    ...ours.map(m => ({ side: 'ours', slot: m.slot, name: m.name, speed: speedOf(m) })),
+    ...theirs.map(m => ({ side: 'theirs', slot: m.slot, name: m.name, speed: speedOf(m) }))
+  ].sort((a, b) => b.speed - a.speed);
+
+  return {
+    bring: {
+      slots: bring.map(i => ours[i].slot),
+      pokemon: bring.map(i => ours[i].name),
+      leave: indexes.filter(i => !bring.includes(i)).map(i => ours[i].name),
+      score: bringGroups[0].score
+    },
+    leads,
+    speed,
+    matrix: ours.map((o, i) => ({
+      slot: o.slot,
+      name: o.name,
+      cells: theirs.map((t, j) => ({
+        slot: t.slot,
+        name: t.name,
+        offense: offense[i][j],
+        defense: defense[i][j],
+        faster: faster[i][j] > 0 ? true : faster[i][j] < 0 ? false : null,
+        value: Math.round(values[i][j])
+      }))
+    })),
+    key_interactions: {
+      ours: keyInteractions(offense, ours, theirs),
+      theirs: keyInteractions(theirs.map((t, j) => ours.map((o, i) => defense[i][j])), theirs, ours)
+    }
+  };
+}
+
+module.exports = {
+  planMatchup
+};
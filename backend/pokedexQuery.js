@@ -0,0 +1,101 @@
+// Pokédex search: turns GET /pokemon query parameters into a page query and a matching count query.
+//   search          name contains
+//   type            up to two types, comma separated; every one listed must match ("Fire,Flying")
+//   type_count      1 for single-typed, 2 for dual-typed Pokémon
+//   ability         has this ability
+//   move            learns every listed move (comma separated, up to 4)
+//   min_<stat>, max_<stat>   base stat range, stat being hp, attack, defence, sp_atk, sp_def, spd or bst
+//   sort, order     id, name, any stat or bst; asc or desc (stats default to highest first)
+
+const { STAT_KEYS } = require('./dmgcalc');
+
+const RANGE_KEYS = [...STAT_KEYS, 'bst'];
+const SORTS = ['id', 'name', ...RANGE_KEYS];
+const MAX_TYPES = 2;
+const MAX_MOVES = 4;
+const MAX_TEXT = 50;
+const MAX_STAT = 1000;
+const MAX_BST = 6 * MAX_STAT;
+
+const BST_SQL = '(b.hp + b.attack + b.defence + b.sp_atk + b.sp_def + b.spd)';
+const columnFor = key => key === 'bst' ? BST_SQL : key === 'id' ? 'p.sid' : key === 'name' ? 'p.name' : `b.${key}`;
+
+const listParam = value => String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Returns { sql, countSql, params } or { error }. sql has one row per Pokémon (types are loaded separately)
+// and no LIMIT, so the caller appends its page; countSql takes the same params.
+function buildPokedexQuery(query) {
+  const where = ['p.name LIKE ?'];
+  const params = [];
+
+  const search = String(query.search || '').trim();
+  if (search.length > MAX_TEXT) return { error: `Search too long (max ${MAX_TEXT} chars)` };
+  params.push(`%${search}%`);
+
+  const types = listParam(query.type);
+  if (types.length > MAX_TYPES) return { error: `type takes at most ${MAX_TYPES} types` };
+  types.forEach(type => {
+    where.push('p.sid IN (SELECT pokemon_sid FROM pokemon_types WHERE ? IN (type_name, type_name1))');
+    params.push(type);
+  });
+
+  if (query.type_count !== undefined && query.type_count !== '') {
+    const count = Number(query.type_count);
+    if (count !== 1 && count !== 2) return { error: 'type_count must be 1 or 2' };
+    const dual = "SELECT pokemon_sid FROM pokemon_types WHERE type_name1 IS NOT NULL AND type_name1 <> '' AND type_name1 <> type_name";
+    where.push(`p.sid ${count === 2 ? 'IN' : 'NOT IN'} (${dual})`);
+  }
+
+  if (query.ability !== undefined && query.ability !== '') {
+    const ability = String(query.ability).trim();
+    if (ability.length > MAX_TEXT) return { error: `ability too long (max ${MAX_TEXT} chars)` };
+    where.push('p.sid IN (SELECT pokemon_sid FROM pokemon_abilities WHERE ability_name = ?)');
+    params.push(ability);
+  }
+
+  const moves = listParam(query.move);
+  if (moves.length > MAX_MOVES) return { error: `move takes at most ${MAX_MOVES} moves` };
+  if (moves.some(m => m.length > MAX_TEXT)) return { error: `move names are at most ${MAX_TEXT} chars` };
+  moves.forEach(move => {
+    where.push('p.sid IN (SELECT pm.pokemon_sid FROM pokemon_moves pm JOIN moves m ON pm.move_code = m.code WHERE m.name = ?)');
+    params.push(move);
+  });
+
+  for (const key of RANGE_KEYS) {
+    const max = key === 'bst' ? MAX_BST : MAX_STAT;
+    for (const [bound, op] of [['min', '>='], ['max', '<=']]) {
+      const raw = query[`${bound}_${key}`];
+      if (raw === undefined || raw === '') continue;
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value < 0 || value > max) return { error: `${bound}_${key} must be a whole number from 0 to ${max}` };
+      where.push(`${columnFor(key)} ${op} ?`);
+      params.push(value);
+    }
+  }
+
+  const sort = query.sort === undefined || query.sort === '' ? 'id' : String(query.sort);
+  if (!SORTS.includes(sort)) return { error: `sort must be one of: ${SORTS.join(', ')}` };
+  const defaultOrder = RANGE_KEYS.includes(sort) ? 'desc' : 'asc';
+  const order = query.order === undefined || query.order === '' ? defaultOrder : String(query.order).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+
+  const from = `
+    FROM pokemon p
+    LEFT JOIN bst b ON p.sid = b.pokemon_sid
+    WHERE ${where.join('\n      AND ')}`;
+  const sql = `
+    SELECT
+      p.sid AS id,
+      p.name,
+      b.hp, b.attack, b.defence, b.sp_atk, b.sp_def, b.spd,
+      ${BST_SQL} AS bst${from}
+    ORDER BY ${columnFor(sort)} ${order.toUpperCase()}, p.sid ASC
+  `;
+  return { sql, countSql: `SELECT COUNT(*) AS total${from}`, params };
+}
+
+module.exports = {
+  RANGE_KEYS,
+  SORTS,
+  buildPokedexQuery
+};
@@ -6,6 +6,19 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const db=require('./db');
+const dmgcalc = require('./dmgcalc');
+const typeChart = require('./typeChart');
+const showdown = require('./showdown');
+const teamValidator = require('./teamValidator');
+const teamDiff = require('./teamDiff');
+const teamAnalysis = require('./teamAnalysis');
+const usageStats = require('./usageStats');
+const matchupPlanner = require('./matchupPlanner');
+const battleEngine = require('./battleEngine');
+const tournamentLogic = require('./tournament');
+const matchLog = require('./matchLog');
+const showdownLog = require('./showdownLog');
+const pokedexQuery = require('./pokedexQuery');
 
 const ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'dev-access-secret';
 const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'dev-refresh-secret';
@@ -15,6 +28,24 @@ const REFRESH_LIFETIME_MS = REFRESH_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
 
 const q = (sql, params) => new Promise((resolve, reject) => db.query(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
 
+// Run work(query) on one pooled connection inside a transaction. Commits if work resolves,
+// rolls back and rethrows if it throws, so a failed write never leaves partial rows behind.
+async function withTransaction(work) {
+  const conn = await new Promise((resolve, reject) => db.getConnection((err, c) => err ? reject(err) : resolve(c)));
+  const run = (sql, params) => new Promise((resolve, reject) => conn.query(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+  try {
+    await run('START TRANSACTION');
+    const result = await work(run);
+    await run('COMMIT');
+    return result;
+  } catch (err) {
+    await run('ROLLBACK').catch(rollbackErr => console.error('rollback error:', rollbackErr));
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
 const signAccessToken = (user) => jwt.sign({ sub: user.id, role: user.role }, ACCESS_SECRET, { expiresIn: ACCESS_EXPIRES });
 
 async function issueRefreshToken(userId) {
@@ -50,13 +81,48 @@ function authMiddleware(req, res, next) {
   }
 }
 
+// Allows anonymous access but attaches req.user when a valid token is sent
+function optionalAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [, token] = header.split(' ');
+  if (token) {
+    try {
+      const payload = jwt.verify(token, ACCESS_SECRET);
+      req.user = { id: payload.sub, role: payload.role };
+    } catch (e) {
+      // An expired or invalid token carries on as anonymous
+    }
+  }
+  return next();
+}
+
 const requireRole = (role) => (req, res, next) => {
   if (!req.user || req.user.role !== role) return res.status(403).json({ error: 'Forbidden' });
   return next();
 };
 
+// Saved teams allowed per role (null = unlimited); admins can override a single user's quota
+// A bad value is reported and ignored rather than silently lifting the quota
+function quotaFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'unlimited') return null;
+  const quota = Number(value);
+  if (!/^\d+$/.test(value.trim()) || !Number.isSafeInteger(quota)) {
+    console.error(`${name} must be a whole number (0 or more) or "unlimited"; got "${value}", using ${fallback === null ? 'unlimited' : fallback}`);
+    return fallback;
+  }
+  return quota;
+}
+const TEAM_QUOTAS = {
+  player: quotaFromEnv('TEAM_QUOTA_PLAYER', 25),
+  admin: quotaFromEnv('TEAM_QUOTA_ADMIN', null)
+};
+
 const app = express();
 app.use(cors());
+// Showdown battle logs are far bigger than the default JSON body limit
+app.use('/replays', express.json({ limit: '2mb' }));
 app.use(express.json());
 
 // Serve static files from Public folder (absolute path from backend dir)
@@ -88,6 +154,322 @@ async function ensureFavoriteColumn() {
   }
 }
 
+// Stat raised/lowered by each nature (bst column names); neutral natures raise and lower the same stat
+const NATURE_MODIFIERS = {
+  Hardy: ['attack', 'attack'], Lonely: ['attack', 'defence'], Brave: ['attack', 'spd'], Adamant: ['attack', 'sp_atk'], Naughty: ['attack', 'sp_def'],
+  Bold: ['defence', 'attack'], Docile: ['defence', 'defence'], Relaxed: ['defence', 'spd'], Impish: ['defence', 'sp_atk'], Lax: ['defence', 'sp_def'],
+  Timid: ['spd', 'attack'], Hasty: ['spd', 'defence'], Serious: ['spd', 'spd'], Jolly: ['spd', 'sp_atk'], Naive: ['spd', 'sp_def'],
+  Modest: ['sp_atk', 'attack'], Mild: ['sp_atk', 'defence'], Quiet: ['sp_atk', 'spd'], Bashful: ['sp_atk', 'sp_atk'], Rash: ['sp_atk', 'sp_def'],
+  Calm: ['sp_def', 'attack'], Gentle: ['sp_def', 'defence'], Sassy: ['sp_def', 'spd'], Careful: ['sp_def', 'sp_atk'], Quirky: ['sp_def', 'sp_def']
+};
+
+// Immutable snapshots of every team save (see recordTeamVersion)
+async function ensureTeamVersionsTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS team_versions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        team_id INT NOT NULL,
+        version INT NOT NULL,
+        team_name VARCHAR(100) NOT NULL,
+        format VARCHAR(50) NULL,
+        snapshot TEXT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_team_version (team_id, version)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureTeamVersionsTable error:', e.message || e);
+  }
+}
+
+// Public read-only links: teams.share_token is set while a team is shared
+async function ensureTeamShareColumn() {
+  try {
+    const rows = await q(`
+      SELECT COUNT(*) AS c
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'teams'
+        AND COLUMN_NAME = 'share_token'
+    `);
+    const exists = rows && rows[0] && Number(rows[0].c) > 0;
+    if (!exists) {
+      await q('ALTER TABLE teams ADD COLUMN share_token VARCHAR(64) NULL UNIQUE');
+      console.log('Added teams.share_token column for shared teams');
+    }
+  } catch (e) {
+    console.error('ensureTeamShareColumn error:', e.message || e);
+  }
+}
+
+// Team organisation: folder and last-modified time on teams, free-form tags in team_tags
+async function ensureTeamFolderSchema() {
+  try {
+    const rows = await q(`
+      SELECT COLUMN_NAME AS name
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'teams'
+        AND COLUMN_NAME IN ('folder', 'updated_at')
+    `);
+    const existing = rows.map(r => r.name);
+    if (!existing.includes('folder')) {
+      await q('ALTER TABLE teams ADD COLUMN folder VARCHAR(50) NULL');
+      console.log('Added teams.folder column');
+    }
+    if (!existing.includes('updated_at')) {
+      await q('ALTER TABLE teams ADD COLUMN updated_at DATETIME NULL');
+      console.log('Added teams.updated_at column');
+    }
+    await q(`
+      CREATE TABLE IF NOT EXISTS team_tags (
+        team_id INT NOT NULL,
+        tag VARCHAR(30) NOT NULL,
+        PRIMARY KEY (team_id, tag)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureTeamFolderSchema error:', e.message || e);
+  }
+}
+
+// Clones remember the team they were copied from (teams.forked_from)
+async function ensureTeamForkColumn() {
+  try {
+    const rows = await q(`
+      SELECT COUNT(*) AS c
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'teams'
+        AND COLUMN_NAME = 'forked_from'
+    `);
+    const exists = rows && rows[0] && Number(rows[0].c) > 0;
+    if (!exists) {
+      await q('ALTER TABLE teams ADD COLUMN forked_from INT NULL');
+      console.log('Added teams.forked_from column for cloned teams');
+    }
+  } catch (e) {
+    console.error('ensureTeamForkColumn error:', e.message || e);
+  }
+}
+
+// Latest usage statistics per format, rebuilt by refreshUsageStats()
+async function ensureUsageStatsTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS usage_stats (
+        format VARCHAR(50) NOT NULL PRIMARY KEY,
+        team_count INT NOT NULL,
+        data MEDIUMTEXT NOT NULL,
+        computed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  } catch (e) {
+    console.error('ensureUsageStatsTable error:', e.message || e);
+  }
+}
+
+// Saved matchup plans: one of the user's teams against a pasted opponent team, with notes
+async function ensureMatchupsTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS matchups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        team_id INT NOT NULL,
+        opponent_name VARCHAR(100) NOT NULL,
+        opponent_paste TEXT NOT NULL,
+        field VARCHAR(255) NULL,
+        notes TEXT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_matchups_player (player_id),
+        KEY idx_matchups_team (team_id)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureMatchupsTable error:', e.message || e);
+  }
+}
+
+// Battles in progress: the whole engine state is stored as JSON and replaced after every turn
+async function ensureBattlesTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS battles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        team_a INT NOT NULL,
+        team_b INT NOT NULL,
+        seed INT NOT NULL,
+        turn INT NOT NULL DEFAULT 0,
+        winner VARCHAR(10) NULL,
+        state MEDIUMTEXT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_battles_player (player_id)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureBattlesTable error:', e.message || e);
+  }
+}
+
+// Tournaments: events, registrations (each with a locked copy of the team) and best-of-three matches
+async function ensureTournamentTables() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        format VARCHAR(50) NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'registration',
+        swiss_rounds INT NOT NULL,
+        top_cut INT NOT NULL DEFAULT 0,
+        current_round INT NOT NULL DEFAULT 0,
+        created_by INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await q(`
+      CREATE TABLE IF NOT EXISTS tournament_players (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tournament_id INT NOT NULL,
+        user_id INT NOT NULL,
+        team_id INT NULL,
+        team_name VARCHAR(100) NOT NULL,
+        team_snapshot TEXT NOT NULL,
+        dropped TINYINT(1) NOT NULL DEFAULT 0,
+        registered_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_tournament_user (tournament_id, user_id)
+      )
+    `);
+    await q(`
+      CREATE TABLE IF NOT EXISTS tournament_matches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tournament_id INT NOT NULL,
+        stage VARCHAR(10) NOT NULL,
+        round INT NOT NULL,
+        table_no INT NOT NULL,
+        player1_id INT NOT NULL,
+        player2_id INT NULL,
+        player1_wins INT NOT NULL DEFAULT 0,
+        player2_wins INT NOT NULL DEFAULT 0,
+        winner_id INT NULL,
+        reported_at DATETIME NULL,
+        KEY idx_tournament_round (tournament_id, round)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureTournamentTables error:', e.message || e);
+  }
+}
+
+// Games recorded by users; team_name is kept so the history survives the team being deleted
+async function ensureMatchLogsTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS match_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        team_id INT NOT NULL,
+        team_name VARCHAR(100) NOT NULL,
+        result VARCHAR(4) NOT NULL,
+        opponent_species TEXT NOT NULL,
+        our_bring TEXT NOT NULL,
+        their_bring TEXT NOT NULL,
+        notes TEXT NULL,
+        played_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_match_logs_player (player_id, team_id)
+      )
+    `);
+    const rows = await q(`
+      SELECT COUNT(*) AS c
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'match_logs'
+        AND COLUMN_NAME = 'replay_id'
+    `);
+    const exists = rows && rows[0] && Number(rows[0].c) > 0;
+    if (!exists) {
+      await q('ALTER TABLE match_logs ADD COLUMN replay_id INT NULL');
+      console.log('Added match_logs.replay_id column for imported replays');
+    }
+  } catch (e) {
+    console.error('ensureMatchLogsTable error:', e.message || e);
+  }
+}
+
+// Imported Showdown battle logs: the raw text and the parsed result with names mapped to the database
+async function ensureReplaysTable() {
+  try {
+    await q(`
+      CREATE TABLE IF NOT EXISTS replays (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        format VARCHAR(100) NULL,
+        p1_name VARCHAR(100) NOT NULL,
+        p2_name VARCHAR(100) NOT NULL,
+        winner VARCHAR(4) NULL,
+        played_at DATETIME NULL,
+        log MEDIUMTEXT NOT NULL,
+        parsed MEDIUMTEXT NOT NULL,
+        match_log_id INT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_replays_player (player_id)
+      )
+    `);
+  } catch (e) {
+    console.error('ensureReplaysTable error:', e.message || e);
+  }
+}
+
+// Per-user override of the role's team quota (NULL = use the role default)
+async function ensureTeamQuotaColumn() {
+  try {
+    const rows = await q(`
+      SELECT COUNT(*) AS c
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'users'
+        AND COLUMN_NAME = 'team_quota'
+    `);
+    const exists = rows && rows[0] && Number(rows[0].c) > 0;
+    if (!exists) {
+      await q('ALTER TABLE users ADD COLUMN team_quota INT NULL');
+      console.log('Added users.team_quota column for team quotas');
+    }
+  } catch (e) {
+    console.error('ensureTeamQuotaColumn error:', e.message || e);
+  }
+}
+
+// Ensure the nature table carries the stat modifiers used by the damage calculator
+async function ensureNatureColumns() {
+  try {
+    const rows = await q(`
+      SELECT COLUMN_NAME AS name
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'nature'
+        AND COLUMN_NAME IN ('increased_stat', 'decreased_stat')
+    `);
+    if (rows.length < 2) {
+      const existing = rows.map(r => r.name);
+      if (!existing.includes('increased_stat')) await q('ALTER TABLE nature ADD COLUMN increased_stat VARCHAR(10) NULL');
+      if (!existing.includes('decreased_stat')) await q('ALTER TABLE nature ADD COLUMN decreased_stat VARCHAR(10) NULL');
+      console.log('Added nature stat modifier columns');
+    }
+    for (const [name, [up, down]] of Object.entries(NATURE_MODIFIERS)) {
+      await q('UPDATE nature SET increased_stat = ?, decreased_stat = ? WHERE name = ? AND increased_stat IS NULL', [up, down, name]);
+    }
+  } catch (e) {
+    console.error('ensureNatureColumns error:', e.message || e);
+  }
+}
+
 // Auth: register
 app.post('/auth/register', async (req, res) => {
   try {
@@ -181,104 +563,110 @@ app.post('/auth/logout', async (req, res) => {
   }
 });
 
-app.get('/pokemon/search', (req, res) => {
-  const name = String(req.query.name || '').trim();
-  if (name.length > 50) return res.status(400).json({ error: 'Search too long (max 50 chars)' });
+// ==================== LIST PAGING ====================
+// List endpoints take ?page= (from 1) and ?limit=, and answer { <rows>, total, page, limit, pages }
 
-  const sql = `
-    SELECT 
-      p.sid AS id,
-      p.name,
-      pt.type_name,
-      pt.type_name1,
-      pa.ability_name
-    FROM pokemon p
-    LEFT JOIN pokemon_types pt ON p.sid = pt.pokemon_sid
-    LEFT JOIN pokemon_abilities pa ON p.sid = pa.pokemon_sid
-    WHERE p.name LIKE ?
-    LIMIT 100
-  `;
+// Returns { page, limit, offset } or { error }
+function parsePaging(query, defaultLimit, maxLimit) {
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  const limit = query.limit === undefined || query.limit === '' ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) return { error: 'page must be a whole number from 1' };
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) return { error: `limit must be 1 to ${maxLimit}` };
+  return { page, limit, offset: (page - 1) * limit };
+}
 
-  db.query(sql, [`%${name}%`], (err, results) => {
-    if (err) return res.status(500).json(err);
-    
-    // Group by Pokémon ID to deduplicate and combine types/abilities
-    const map = new Map();
-    (results || []).forEach(r => {
-      const id = r.id;
-      if (!map.has(id)) {
-        map.set(id, { id: r.id, name: r.name, types: new Set(), abilities: new Set() });
-      }
-      const entry = map.get(id);
-      if (r.type_name) entry.types.add(r.type_name);
-      if (r.type_name1) entry.types.add(r.type_name1);
-      if (r.ability_name) entry.abilities.add(r.ability_name);
+// ?sort= and ?order= against a map of { column, order } like TEAM_LIST_SORTS; returns { column, direction } or { error }
+function parseSort(query, sorts, fallback) {
+  const sort = query.sort === undefined || query.sort === '' ? fallback : String(query.sort);
+  const sortBy = Object.prototype.hasOwnProperty.call(sorts, sort) ? sorts[sort] : null;
+  if (!sortBy) return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  const order = query.order === undefined || query.order === '' ? null : String(query.order).toLowerCase();
+  if (order !== null && order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+  return { column: sortBy.column, direction: order ? order.toUpperCase() : sortBy.order };
+}
+
+function pagedBody(key, rows, total, paging) {
+  return { [key]: rows, total, page: paging.page, limit: paging.limit, pages: Math.ceil(total / paging.limit) };
+}
+
+// Types for a set of Pokémon, keyed by sid
+async function typesBySid(sids) {
+  const rows = sids.length ? await q('SELECT pokemon_sid, type_name, type_name1 FROM pokemon_types WHERE pokemon_sid IN (?)', [sids]) : [];
+  const map = new Map(sids.map(sid => [sid, []]));
+  rows.forEach(r => {
+    const types = map.get(r.pokemon_sid);
+    [r.type_name, r.type_name1].forEach(t => {
+      const type = t ? String(t).trim() : '';
+      if (type && !types.includes(type)) types.push(type);
     });
-    
-    // Convert to display format with types as array
-    const payload = Array.from(map.values()).map(e => ({
-      id: e.id,
-      name: e.name,
-      types: Array.from(e.types),
-      ability_name: e.abilities.size > 0 ? Array.from(e.abilities).join(', ') : null
-    }));
-    
-    res.json(payload);
   });
-});
+  return map;
+}
 
-app.get('/pokemon', (req, res) => {
-  const { search = '', type = '' } = req.query;
-  const searchTerm = String(search || '').trim();
-  if (searchTerm.length > 50) return res.status(400).json({ error: 'Search too long (max 50 chars)' });
-
-  let sql = `
-    SELECT 
-      p.sid AS id,
-      p.name,
-      pt.type_name,
-      pt.type_name1
-    FROM pokemon p
-    LEFT JOIN pokemon_types pt ON p.sid = pt.pokemon_sid
-    WHERE p.name LIKE ?
-  `;
+const POKEMON_SEARCH_SORTS = {
+  id: { column: 'p.sid', order: 'ASC' },
+  name: { column: 'p.name', order: 'ASC' }
+};
+const POKEMON_SEARCH_PAGE = { default: 20, max: 100 };
 
-  const params = [`%${searchTerm}%`];
+// Name search: ?name=, paged, sorted by id or name
+app.get('/pokemon/search', async (req, res) => {
+  const name = String(req.query.name || '').trim();
+  if (name.length > 50) return res.status(400).json({ error: 'Search too long (max 50 chars)' });
+  const paging = parsePaging(req.query, POKEMON_SEARCH_PAGE.default, POKEMON_SEARCH_PAGE.max);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const sortBy = parseSort(req.query, POKEMON_SEARCH_SORTS, 'id');
+  if (sortBy.error) return res.status(400).json({ error: sortBy.error });
 
-  if (type) {
-    sql += ` AND p.sid IN (
-      SELECT pt2.pokemon_sid
-      FROM pokemon_types pt2
-      WHERE pt2.type_name = ?
-    )`;
-    params.push(type);
+  try {
+    const [{ total }] = await q('SELECT COUNT(*) AS total FROM pokemon p WHERE p.name LIKE ?', [`%${name}%`]);
+    const rows = await q(`
+      SELECT p.sid AS id, p.name
+      FROM pokemon p
+      WHERE p.name LIKE ?
+      ORDER BY ${sortBy.column} ${sortBy.direction}, p.sid ASC
+      LIMIT ? OFFSET ?
+    `, [`%${name}%`, paging.limit, paging.offset]);
+
+    const sids = rows.map(r => r.id);
+    const types = await typesBySid(sids);
+    const abilityRows = sids.length ? await q('SELECT pokemon_sid, ability_name FROM pokemon_abilities WHERE pokemon_sid IN (?)', [sids]) : [];
+    const pokemon = rows.map(r => {
+      const abilities = Array.from(new Set(abilityRows.filter(a => a.pokemon_sid === r.id).map(a => a.ability_name)));
+      return { id: r.id, name: r.name, types: types.get(r.id), ability_name: abilities.length ? abilities.join(', ') : null };
+    });
+    res.json(pagedBody('pokemon', pokemon, Number(total), paging));
+  } catch (err) {
+    console.error('pokemon search error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
   }
+});
 
-  // If no search term provided (team builder fetching all), return all Pokemon
-  // Otherwise limit to 300 results for search performance
-  const limit = searchTerm === '' ? 2000 : 300;
-  sql += `
-    ORDER BY p.sid ASC
-    LIMIT ${limit}
-  `;
+const POKEDEX_PAGE = { default: 60, max: 200 };
 
-  db.query(sql, params, (err, results) => {
-    if (err) return res.status(500).json(err)
-    const map = new Map();
-    (results || []).forEach(r => {
-      const id = r.id;
-      if (!map.has(id)) map.set(id, { id: r.id, name: r.name, types: [] });
-      const entry = map.get(id);
-      if (r.type_name) entry.types.push(r.type_name);
-      if (r.type_name1) entry.types.push(r.type_name1);
-    });
-    const payload = Array.from(map.values()).map(e => {
-      e.types = Array.from(new Set((e.types || []).map(t => String(t).trim()).filter(Boolean)));
-      return e;
-    });
+// Pokédex list with combined filters, stat ranges and sorting (parameters documented in pokedexQuery.js), paged
+app.get('/pokemon', async (req, res) => {
+  const built = pokedexQuery.buildPokedexQuery(req.query);
+  if (built.error) return res.status(400).json({ error: built.error });
+  const paging = parsePaging(req.query, POKEDEX_PAGE.default, POKEDEX_PAGE.max);
+  if (paging.error) return res.status(400).json({ error: paging.error });
 
-    res.json(payload);
-  });
+  try {
+    const [{ total }] = await q(built.countSql, built.params);
+    const rows = await q(`${built.sql} LIMIT ? OFFSET ?`, [...built.params, paging.limit, paging.offset]);
+    const types = await typesBySid(rows.map(r => r.id));
+    const pokemon = rows.map(r => ({
+      id: r.id,
+      name: r.name,
+      types: types.get(r.id),
+      stats: r.hp === null || r.hp === undefined ? null : { hp: r.hp, attack: r.attack, defence: r.defence, sp_atk: r.sp_atk, sp_def: r.sp_def, spd: r.spd },
+      bst: r.bst === null || r.bst === undefined ? null : Number(r.bst)
+    }));
+    res.json(pagedBody('pokemon', pokemon, Number(total), paging));
+  } catch (err) {
+    console.error('pokemon list error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
 });
 
 app.get('/types', (req, res) => {
@@ -289,6 +677,36 @@ app.get('/types', (req, res) => {
   });
 });
 
+// Full type effectiveness chart
+app.get('/types/chart', (req, res) => {
+  res.json({ types: typeChart.TYPES, chart: typeChart.fullChart() });
+});
+
+// Type matchup: ?attack=Fire&defend=Grass,Steel, or omit attack to get every attacking type
+app.get('/types/matchup', (req, res) => {
+  const defendRaw = String(req.query.defend || '').split(',').map(t => t.trim()).filter(Boolean);
+  if (defendRaw.length === 0 || defendRaw.length > 3) return res.status(400).json({ error: 'defend must list 1 to 3 types' });
+  const defend = defendRaw.map(typeChart.normalizeType);
+  const unknown = defendRaw.filter((t, i) => !defend[i]);
+  if (unknown.length) return res.status(400).json({ error: `Unknown type(s): ${unknown.join(', ')}` });
+
+  if (req.query.attack) {
+    const attack = typeChart.normalizeType(req.query.attack);
+    if (!attack) return res.status(400).json({ error: `Unknown type: ${req.query.attack}` });
+    return res.json({ attack, defend, multiplier: typeChart.effectiveness(attack, defend) });
+  }
+
+  const matchups = typeChart.defensiveMatchups(defend);
+  const pick = test => Object.keys(matchups).filter(t => test(matchups[t]));
+  res.json({
+    defend,
+    matchups,
+    weaknesses: pick(m => m > 1),
+    resistances: pick(m => m > 0 && m < 1),
+    immunities: pick(m => m === 0)
+  });
+});
+
 // Detailed pokemon 
 app.get('/pokemon/:id', (req, res) => {
   const id = req.params.id;
@@ -362,98 +780,123 @@ app.get('/pokemon/:id', (req, res) => {
 });
 
 // Damage calculator API (replacement for PHP dmgCalc.php)
+// attacker/defender may be a plain name or a full set:
+// { name, level, evs, ivs, nature, ability, item, boosts: { attack, defence, sp_atk, sp_def, spd }, intimidated }
+function parseCalcSide(input, label, fallbackLevel) {
+  const side = typeof input === 'string' ? { name: input } : input;
+  if (!side || typeof side !== 'object' || typeof side.name !== 'string') return { error: `${label} name is required and must be a string` };
+  const name = side.name.trim();
+  if (name.length === 0) return { error: `${label} name cannot be empty` };
+  if (name.length > 100) return { error: 'Input names too long (max 100 chars)' };
+
+  const normalized = dmgcalc.normalizeSet({ ...side, level: side.level !== undefined ? side.level : fallbackLevel }, label);
+  if (normalized.error) return normalized;
+  return { side: { name, ...normalized.set } };
+}
+
+// Look up species, base stats, types and nature for a parsed calc side and compute its real stats
+async function loadCalcSide(side, label) {
+  let rows = await q('SELECT sid FROM pokemon WHERE name = ? LIMIT 1', [side.name]);
+  if (!rows || rows.length === 0) return { status: 400, error: `Pokémon "${side.name}" not found` };
+  const sid = rows[0].sid;
+
+  rows = await q('SELECT hp, attack, sp_atk, defence, sp_def, spd FROM bst WHERE pokemon_sid = ? LIMIT 1', [sid]);
+  const baseStats = (rows && rows[0]) || {};
+  if (!baseStats.hp) return { status: 500, error: `${label} stats not found in database` };
+
+  rows = await q('SELECT name, increased_stat, decreased_stat FROM nature WHERE name = ? LIMIT 1', [side.nature]);
+  if (!rows || rows.length === 0) return { status: 400, error: `Nature "${side.nature}" not found` };
+  const nature = rows[0];
+
+  if (side.ability) {
+    rows = await q('SELECT ability_name FROM pokemon_abilities WHERE pokemon_sid = ? AND ability_name = ? LIMIT 1', [sid, side.ability]);
+    if (!rows || rows.length === 0) return { status: 400, error: `${side.name} cannot have the ability "${side.ability}"` };
+  }
+  if (side.item) {
+    rows = await q('SELECT name FROM items WHERE name = ? LIMIT 1', [side.item]);
+    if (!rows || rows.length === 0) return { status: 400, error: `Item "${side.item}" not found` };
+  }
+
+  rows = await q('SELECT type_name, type_name1 FROM pokemon_types WHERE pokemon_sid = ?', [sid]);
+  let types = [];
+  (rows || []).forEach(r => { if (r.type_name) types.push(r.type_name); if (r.type_name1) types.push(r.type_name1); });
+  types = Array.from(new Set(types.map(t => String(t).trim()).filter(Boolean)));
+
+  return {
+    pokemon: {
+      ...side,
+      sid,
+      nature: nature.name,
+      types,
+      base_stats: baseStats,
+      stats: dmgcalc.calcStats(baseStats, side, nature)
+    }
+  };
+}
+
+// Look up a damaging move and check the attacker can learn it
+async function loadCalcMove(moveName, attacker) {
+  let rows = await q('SELECT code, name, power, type_name, category FROM moves WHERE name = ? LIMIT 1', [moveName]);
+  if (!rows || rows.length === 0) return { status: 400, error: `Move "${moveName}" not found` };
+  const mv = rows[0];
+
+  // validate move power and category
+  if (mv.power === null || mv.power === undefined || mv.power === 0) return { status: 400, error: `Move "${moveName}" has no power (status move?)` };
+  if (!['Physical', 'Special'].includes(mv.category)) return { status: 500, error: 'Invalid move category in database' };
+
+  // check move usable
+  rows = await q('SELECT 1 FROM pokemon_moves WHERE pokemon_sid = ? AND move_code = ? LIMIT 1', [attacker.sid, mv.code]);
+  if (!rows || rows.length === 0) return { status: 400, error: `Pokémon "${attacker.name}" cannot learn "${moveName}"` };
+
+  return { move: { name: mv.name, type: mv.type_name, category: mv.category, power: mv.power } };
+}
+
 app.post('/api/dmgcalc', (req, res) => {
-  const { attacker, defender, attacker_level = 50, move } = req.body || {};
-  
+  const { attacker, defender, attacker_level = 50, move, field } = req.body || {};
+
   // Input validation
-  if (!attacker || typeof attacker !== 'string') return res.status(400).json({ error: 'Attacker name is required and must be a string' });
-  if (!defender || typeof defender !== 'string') return res.status(400).json({ error: 'Defender name is required and must be a string' });
+  const atkParsed = parseCalcSide(attacker, 'Attacker', attacker_level);
+  if (atkParsed.error) return res.status(400).json({ error: atkParsed.error });
+  const defParsed = parseCalcSide(defender, 'Defender', 50);
+  if (defParsed.error) return res.status(400).json({ error: defParsed.error });
+  const fieldParsed = dmgcalc.normalizeField(field);
+  if (fieldParsed.error) return res.status(400).json({ error: fieldParsed.error });
   if (!move || typeof move !== 'string') return res.status(400).json({ error: 'Move name is required and must be a string' });
-  
-  const level = Number(attacker_level);
-  if (isNaN(level) || level < 1 || level > 100) return res.status(400).json({ error: 'Attacker level must be a number between 1 and 100' });
 
-  const attacker_trim = attacker.trim();
-  const defender_trim = defender.trim();
   const move_trim = move.trim();
-
-  if (attacker_trim.length === 0) return res.status(400).json({ error: 'Attacker name cannot be empty' });
-  if (defender_trim.length === 0) return res.status(400).json({ error: 'Defender name cannot be empty' });
   if (move_trim.length === 0) return res.status(400).json({ error: 'Move name cannot be empty' });
-  if (attacker_trim.length > 100 || defender_trim.length > 100 || move_trim.length > 100) return res.status(400).json({ error: 'Input names too long (max 100 chars)' });
-
-  // helper to run a single-row query promise
-  const q = (sql, params) => new Promise((resolve, reject) => db.query(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+  if (move_trim.length > 100) return res.status(400).json({ error: 'Input names too long (max 100 chars)' });
 
   (async () => {
     try {
-      // attacker sid
-      let rows = await q('SELECT sid FROM pokemon WHERE name = ? LIMIT 1', [attacker_trim]);
-      if (!rows || rows.length === 0) return res.status(400).json({ error: `Pokémon "${attacker_trim}" not found` });
-      const attacker_sid = rows[0].sid;
-
-      // defender sid
-      rows = await q('SELECT sid FROM pokemon WHERE name = ? LIMIT 1', [defender_trim]);
-      if (!rows || rows.length === 0) return res.status(400).json({ error: `Pokémon "${defender_trim}" not found` });
-      const defender_sid = rows[0].sid;
-
-      // attacker stats
-      rows = await q('SELECT hp, attack, sp_atk, defence, sp_def, spd FROM bst WHERE pokemon_sid = ? LIMIT 1', [attacker_sid]);
-      const atkStats = (rows && rows[0]) || {};
-      if (!atkStats.hp) return res.status(500).json({ error: 'Attacker stats not found in database' });
-
-      // defender stats
-      rows = await q('SELECT hp, attack, sp_atk, defence, sp_def, spd FROM bst WHERE pokemon_sid = ? LIMIT 1', [defender_sid]);
-      const defStats = (rows && rows[0]) || {};
-      if (!defStats.hp) return res.status(500).json({ error: 'Defender stats not found in database' });
-
-      // move details
-      rows = await q('SELECT code, power, accuracy, type_name, category FROM moves WHERE name = ? LIMIT 1', [move_trim]);
-      if (!rows || rows.length === 0) return res.status(400).json({ error: `Move "${move_trim}" not found` });
-      const mv = rows[0];
-      
-      // validate move power and category
-      if (mv.power === null || mv.power === undefined || mv.power === 0) return res.status(400).json({ error: `Move "${move_trim}" has no power (status move?)` });
-      if (!['Physical', 'Special'].includes(mv.category)) return res.status(500).json({ error: 'Invalid move category in database' });
-
-      // check move usable
-      rows = await q('SELECT 1 FROM pokemon_moves WHERE pokemon_sid = ? AND move_code = ? LIMIT 1', [attacker_sid, mv.code]);
-      if (!rows || rows.length === 0) return res.status(400).json({ error: `Pokémon "${attacker_trim}" cannot learn "${move_trim}"` });
-
-      // defender types
-      rows = await q('SELECT type_name, type_name1 FROM pokemon_types WHERE pokemon_sid = ?', [defender_sid]);
-      let defender_types = [];
-      (rows || []).forEach(r => { if (r.type_name) defender_types.push(r.type_name); if (r.type_name1) defender_types.push(r.type_name1); });
-      defender_types = Array.from(new Set(defender_types.map(t => String(t).trim()).filter(Boolean)));
-
-      // type strengths/weaknesses (from types table)
-      rows = await q('SELECT strength, weakness FROM types WHERE name = ? LIMIT 1', [mv.type_name]);
-      let type_multiplier = 1.0;
-      if (rows && rows.length > 0) {
-        const td = rows[0];
-        const strengths = (td.strength || '').split(',').map(s => s.trim()).filter(Boolean);
-        const weaknesses = (td.weakness || '').split(',').map(s => s.trim()).filter(Boolean);
-        defender_types.forEach(dt => {
-          if (strengths.includes(dt)) type_multiplier *= 2;
-          if (weaknesses.includes(dt)) type_multiplier *= 0.5;
-        });
-      }
-
-      // STAB
-      rows = await q('SELECT type_name, type_name1 FROM pokemon_types WHERE pokemon_sid = ?', [attacker_sid]);
-      let attacker_types = [];
-      (rows || []).forEach(r => { if (r.type_name) attacker_types.push(r.type_name); if (r.type_name1) attacker_types.push(r.type_name1); });
-      attacker_types = Array.from(new Set(attacker_types.map(t => String(t).trim()).filter(Boolean)));
-      const stab = attacker_types.includes(mv.type_name) ? 1.5 : 1.0;
-
-      const attacker_level_num = Number(level) || 50;
-      const attack_stat = mv.category === 'Physical' ? (atkStats.attack || 0) : (atkStats.sp_atk || 0);
-      const defence_stat = mv.category === 'Physical' ? (defStats.defence || 1) : (defStats.sp_def || 1);
-
-      const base_damage = (((2 * attacker_level_num / 5) + 2) * (mv.power || 0) * (attack_stat / (defence_stat || 1))) / 50 + 2;
-      const damage = Math.floor(base_damage * stab * type_multiplier);
+      const atkLoaded = await loadCalcSide(atkParsed.side, 'Attacker');
+      if (atkLoaded.error) return res.status(atkLoaded.status).json({ error: atkLoaded.error });
+      const defLoaded = await loadCalcSide(defParsed.side, 'Defender');
+      if (defLoaded.error) return res.status(defLoaded.status).json({ error: defLoaded.error });
+      const atk = atkLoaded.pokemon;
+      const def = defLoaded.pokemon;
+
+      const mvLoaded = await loadCalcMove(move_trim, atk);
+      if (mvLoaded.error) return res.status(mvLoaded.status).json({ error: mvLoaded.error });
+      const mv = mvLoaded.move;
+
+      const result = dmgcalc.calculateHit({
+        attacker: atk,
+        defender: def,
+        move: mv,
+        field: fieldParsed.field,
+        typeMultiplier: typeChart.effectiveness(mv.type, def.types)
+      });
 
-      return res.json({ damage, details: { base_damage: Math.floor(base_damage), stab, type_multiplier } });
+      return res.json({
+        ...result,
+        details: {
+          ...result.details,
+          field: fieldParsed.field,
+          attacker: { name: atk.name, level: atk.level, nature: atk.nature, ability: atk.ability, item: atk.item, evs: atk.evs, ivs: atk.ivs, boosts: atk.boosts, stats: atk.stats },
+          defender: { name: def.name, level: def.level, nature: def.nature, ability: def.ability, item: def.item, evs: def.evs, ivs: def.ivs, boosts: def.boosts, stats: def.stats }
+        }
+      });
     } catch (e) {
       console.error('dmgcalc error', e);
       return res.status(500).json({ error: 'Server error: ' + e.message });
@@ -461,6 +904,261 @@ app.post('/api/dmgcalc', (req, res) => {
   })();
 });
 
+// EV/IV rows use short column names; map them to the bst-style keys the rest of the app uses
+const spreadFromRow = r => ({ hp: r.hp, attack: r.atk, defence: r.def, sp_atk: r.spa, sp_def: r.spd, spd: r.spe });
+
+// Calc-ready sets for a saved team: [{ slot, sid, name, level, nature, ability, item, gender, shiny, evs, ivs, moves }]
+async function loadTeamSets(teamId, query = q) {
+  const members = await query(`
+    SELECT tp.id, tp.slot, tp.pokemon_sid, p.name, tp.level, tp.nature, tp.ability_name, tp.gender, tp.shiny, i.name AS item_name
+    FROM team_pokemon tp
+    JOIN pokemon p ON tp.pokemon_sid = p.sid
+    LEFT JOIN items i ON tp.item_no = i.item_no
+    WHERE tp.team_id = ?
+    ORDER BY tp.slot
+  `, [teamId]);
+  if (!members.length) return [];
+
+  const ids = members.map(m => m.id);
+  const moves = await query(`
+    SELECT tpm.team_pokemon_id, m.name
+    FROM team_pokemon_moves tpm
+    JOIN moves m ON tpm.move_code = m.code
+    WHERE tpm.team_pokemon_id IN (?)
+    ORDER BY tpm.slot
+  `, [ids]);
+  const evs = await query('SELECT * FROM team_pokemon_evs WHERE team_pokemon_id IN (?)', [ids]);
+  const ivs = await query('SELECT * FROM team_pokemon_ivs WHERE team_pokemon_id IN (?)', [ids]);
+
+  return members.map(m => {
+    const ev = evs.find(r => r.team_pokemon_id === m.id);
+    const iv = ivs.find(r => r.team_pokemon_id === m.id);
+    return {
+      slot: m.slot,
+      sid: m.pokemon_sid,
+      name: m.name,
+      level: m.level || 50,
+      nature: m.nature || 'Hardy',
+      ability: m.ability_name,
+      item: m.item_name,
+      gender: m.gender,
+      shiny: m.shiny === 1,
+      evs: ev ? spreadFromRow(ev) : undefined,
+      ivs: iv ? spreadFromRow(iv) : undefined,
+      moves: moves.filter(r => r.team_pokemon_id === m.id).map(r => r.name)
+    };
+  });
+}
+
+// A matrix side is { team_id } for a saved team of the caller, or an inline list of sets
+// (either an array or { members: [...] }); builder-style selectedMoves is accepted for moves.
+async function resolveCalcTeam(spec, label, user) {
+  let members;
+  if (spec && !Array.isArray(spec) && spec.team_id !== undefined) {
+    if (!user) return { status: 401, error: `Log in to use saved teams (${label})` };
+    const team = await q('SELECT id FROM teams WHERE id = ? AND player_id = ? LIMIT 1', [spec.team_id, user.id]);
+    if (!team.length) return { status: 404, error: `${label} team not found` };
+    members = await loadTeamSets(team[0].id);
+  } else {
+    members = Array.isArray(spec) ? spec : (spec && spec.members);
+    if (!Array.isArray(members)) return { status: 400, error: `${label} must be { team_id } or a list of Pokémon sets` };
+    members = members.filter(Boolean).map((m, i) => ({ slot: i + 1, ...m, moves: m.moves || m.selectedMoves || [] }));
+  }
+  if (members.length === 0 || members.length > 6) return { status: 400, error: `${label} must have 1 to 6 Pokémon` };
+
+  const loaded = [];
+  for (const m of members) {
+    const slotLabel = `${label} slot ${m.slot}`;
+    const parsed = parseCalcSide(m, slotLabel, 50);
+    if (parsed.error) return { status: 400, error: parsed.error };
+    const side = await loadCalcSide(parsed.side, slotLabel);
+    if (side.error) return { status: side.status, error: `${slotLabel}: ${side.error}` };
+    const moves = (Array.isArray(m.moves) ? m.moves : []).map(n => String(n || '').trim()).filter(Boolean).slice(0, 4);
+    loaded.push({ ...side.pokemon, slot: m.slot, moves });
+  }
+  return { members: loaded };
+}
+
+// Damage matrix: every attacker move against every defender
+app.post('/api/dmgcalc/matrix', optionalAuth, async (req, res) => {
+  try {
+    const { attackers, defenders, field } = req.body || {};
+    const fieldParsed = dmgcalc.normalizeField(field);
+    if (fieldParsed.error) return res.status(400).json({ error: fieldParsed.error });
+
+    const atkTeam = await resolveCalcTeam(attackers, 'Attacking team', req.user);
+    if (atkTeam.error) return res.status(atkTeam.status).json({ error: atkTeam.error });
+    const defTeam = await resolveCalcTeam(defenders, 'Defending team', req.user);
+    if (defTeam.error) return res.status(defTeam.status).json({ error: defTeam.error });
+
+    const moveRows = await rowsByName('SELECT code, name, power, type_name, category FROM moves WHERE name IN (?)', atkTeam.members.flatMap(m => m.moves));
+    const learnable = moveRows.size
+      ? await q('SELECT pokemon_sid, move_code FROM pokemon_moves WHERE pokemon_sid IN (?) AND move_code IN (?)', [atkTeam.members.map(m => m.sid), Array.from(moveRows.values()).map(m => m.code)])
+      : [];
+
+    const rows = [];
+    atkTeam.members.forEach(atk => {
+      atk.moves.forEach(moveName => {
+        const mv = moveRows.get(String(moveName).toLowerCase());
+        const row = { attacker: atk.name, slot: atk.slot, move: moveName };
+        if (!mv) return rows.push({ ...row, error: `Move "${moveName}" not found` });
+        row.type = mv.type_name;
+        row.category = mv.category;
+        if (!mv.power || !['Physical', 'Special'].includes(mv.category)) return rows.push({ ...row, status_move: true, cells: [] });
+        if (!learnable.some(l => l.pokemon_sid === atk.sid && l.move_code === mv.code)) return rows.push({ ...row, error: `${atk.name} cannot learn "${moveName}"` });
+
+        row.cells = defTeam.members.map(def => {
+          const hit = dmgcalc.calculateHit({
+            attacker: atk,
+            defender: def,
+            move: { name: mv.name, type: mv.type_name, category: mv.category, power: mv.power },
+            field: fieldParsed.field,
+            typeMultiplier: typeChart.effectiveness(mv.type_name, def.types)
+          });
+          return {
+            defender: def.name,
+            slot: def.slot,
+            min_damage: hit.min_damage,
+            max_damage: hit.max_damage,
+            min_percent: hit.min_percent,
+            max_percent: hit.max_percent,
+            type_multiplier: hit.details.type_multiplier,
+            ko: hit.ko
+          };
+        });
+        rows.push(row);
+      });
+    });
+
+    res.json({
+      attackers: atkTeam.members.map(m => ({ slot: m.slot, name: m.name, moves: m.moves })),
+      defenders: defTeam.members.map(m => ({ slot: m.slot, name: m.name, hp: m.stats.hp })),
+      field: fieldParsed.field,
+      rows
+    });
+  } catch (e) {
+    console.error('dmgcalc matrix error', e);
+    res.status(500).json({ error: 'Server error: ' + e.message });
+  }
+});
+
+// Opponent investment shorthands for the EV finder: EVs and nature for the stats a move uses
+const OPTIMIZE_INVESTMENTS = ['none', 'max', 'max_plus'];
+function investedSet(side, investment, role, category) {
+  if (!investment || investment === 'none') return side;
+  const physical = category === 'Physical';
+  const evs = { hp: 0, attack: 0, defence: 0, sp_atk: 0, sp_def: 0, spd: 0 };
+  let nature;
+  if (role === 'attacker') {
+    evs[physical ? 'attack' : 'sp_atk'] = dmgcalc.MAX_EV;
+    nature = physical ? 'Adamant' : 'Modest';
+  } else {
+    evs.hp = dmgcalc.MAX_EV;
+    evs[physical ? 'defence' : 'sp_def'] = dmgcalc.MAX_EV;
+    nature = physical ? 'Bold' : 'Calm';
+  }
+  return { ...side, evs, nature: investment === 'max_plus' ? nature : 'Hardy' };
+}
+
+// Reverse calc: cheapest EVs (and optionally nature) to survive every opponent's move, or to OHKO every opponent
+app.post('/api/dmgcalc/optimize', async (req, res) => {
+  try {
+    const { pokemon, goal, opponents, move, change_nature } = req.body || {};
+    if (!['survive', 'ohko'].includes(goal)) return res.status(400).json({ error: 'goal must be "survive" or "ohko"' });
+    if (!Array.isArray(opponents) || opponents.length === 0 || opponents.length > 6) return res.status(400).json({ error: 'opponents must list 1 to 6 Pokémon' });
+    const survive = goal === 'survive';
+
+    const parsed = parseCalcSide(pokemon, 'Pokémon', 50);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const selfLoaded = await loadCalcSide(parsed.side, 'Pokémon');
+    if (selfLoaded.error) return res.status(selfLoaded.status).json({ error: selfLoaded.error });
+    const self = selfLoaded.pokemon;
+
+    const matchups = [];
+    for (let i = 0; i < opponents.length; i++) {
+      const entry = opponents[i] || {};
+      const label = `Opponent ${i + 1}`;
+      const moveName = String(entry.move || move || '').trim();
+      if (!moveName) return res.status(400).json({ error: `${label} needs a move` });
+      if (moveName.length > 100) return res.status(400).json({ error: 'Input names too long (max 100 chars)' });
+      if (entry.investment !== undefined && !OPTIMIZE_INVESTMENTS.includes(entry.investment)) {
+        return res.status(400).json({ error: `${label} investment must be one of ${OPTIMIZE_INVESTMENTS.join(', ')}` });
+      }
+      const fieldParsed = dmgcalc.normalizeField(entry.field);
+      if (fieldParsed.error) return res.status(400).json({ error: `${label}: ${fieldParsed.error}` });
+
+      const oppParsed = parseCalcSide(entry.pokemon, label, 50);
+      if (oppParsed.error) return res.status(400).json({ error: oppParsed.error });
+      let side = oppParsed.side;
+      if (entry.investment && entry.investment !== 'none') {
+        const rows = await q('SELECT category FROM moves WHERE name = ? LIMIT 1', [moveName]);
+        side = investedSet(side, entry.investment, survive ? 'attacker' : 'defender', rows.length ? rows[0].category : null);
+      }
+      const oppLoaded = await loadCalcSide(side, label);
+      if (oppLoaded.error) return res.status(oppLoaded.status).json({ error: `${label}: ${oppLoaded.error}` });
+      const opponent = oppLoaded.pokemon;
+
+      const mvLoaded = await loadCalcMove(moveName, survive ? opponent : self);
+      if (mvLoaded.error) return res.status(mvLoaded.status).json({ error: `${label}: ${mvLoaded.error}` });
+      const mv = mvLoaded.move;
+      matchups.push({
+        opponent,
+        move: mv,
+        field: fieldParsed.field,
+        typeMultiplier: typeChart.effectiveness(mv.type, (survive ? self : opponent).types)
+      });
+    }
+
+    // Current nature first so it wins ties; other natures only when the caller allows a change
+    const natureRows = await q('SELECT name, increased_stat, decreased_stat FROM nature ORDER BY name');
+    const current = natureRows.find(n => n.name === self.nature);
+    const natures = [current, ...(change_nature ? natureRows.filter(n => n !== current) : [])];
+
+    const best = dmgcalc.findMinimumSpread({ pokemon: self, goal, matchups, natures });
+    if (!best) {
+      return res.status(422).json({ error: `No spread within ${dmgcalc.MAX_EV_TOTAL} EVs can ${survive ? 'survive' : 'OHKO'} every opponent` });
+    }
+
+    // Re-run each matchup with the chosen spread so the caller can see the margins
+    const natureRow = natureRows.find(n => n.name === best.nature);
+    const stats = dmgcalc.calcStats(self.base_stats, { ...self, evs: best.evs }, natureRow);
+    const tuned = { ...self, nature: best.nature, evs: best.evs, stats };
+    const results = matchups.map(m => {
+      const hit = dmgcalc.calculateHit({
+        attacker: survive ? m.opponent : tuned,
+        defender: survive ? tuned : m.opponent,
+        move: m.move,
+        field: m.field,
+        typeMultiplier: m.typeMultiplier
+      });
+      return {
+        opponent: m.opponent.name,
+        move: m.move.name,
+        min_damage: hit.min_damage,
+        max_damage: hit.max_damage,
+        min_percent: hit.min_percent,
+        max_percent: hit.max_percent,
+        ko: hit.ko
+      };
+    });
+
+    res.json({
+      goal,
+      pokemon: self.name,
+      nature: best.nature,
+      evs: best.evs,
+      invested: best.invested,
+      cost: best.cost,
+      remaining: best.remaining,
+      stats,
+      results
+    });
+  } catch (e) {
+    console.error('dmgcalc optimize error', e);
+    res.status(500).json({ error: 'Server error: ' + e.message });
+  }
+});
+
 // Map: region encounters
 app.get('/region/encounters', (req, res) => {
   const regionName = String(req.query.name || '').trim();
@@ -761,258 +1459,2204 @@ app.get('/pokemon/:id/abilities', (req, res) => {
 });
 
 // Get all items
-app.get('/items', (req, res) => {
-    const sql = 'SELECT item_no, name FROM items ORDER BY name LIMIT 500';
-    db.query(sql, (err, results) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(results);
+const ITEM_SORTS = {
+    name: { column: 'name', order: 'ASC' },
+    id: { column: 'item_no', order: 'ASC' }
+};
+const ITEM_PAGE = { default: 100, max: 500 };
+
+app.get('/items', async (req, res) => {
+    const paging = parsePaging(req.query, ITEM_PAGE.default, ITEM_PAGE.max);
+    if (paging.error) return res.status(400).json({ error: paging.error });
+    const sortBy = parseSort(req.query, ITEM_SORTS, 'name');
+    if (sortBy.error) return res.status(400).json({ error: sortBy.error });
+
+    try {
+        const [{ total }] = await q('SELECT COUNT(*) AS total FROM items');
+        const items = await q(`SELECT item_no, name FROM items ORDER BY ${sortBy.column} ${sortBy.direction}, item_no ASC LIMIT ? OFFSET ?`, [paging.limit, paging.offset]);
+        res.json(pagedBody('items', items, Number(total), paging));
+    } catch (err) {
+        console.error('items error:', err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// Get all natures
+app.get('/natures', (req, res) => {
+    const sql = 'SELECT name FROM nature ORDER BY name';
+    db.query(sql, (err, results) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        res.json(results.map(r => r.name));
     });
 });
 
-// Get all natures
-app.get('/natures', (req, res) => {
-    const sql = 'SELECT name FROM nature ORDER BY name';
-    db.query(sql, (err, results) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        res.json(results.map(r => r.name));
+// Look up everything the legality rules need for builder-shaped team data (see teamValidator.validateTeam)
+async function resolveTeamForValidation(teamData) {
+  const members = teamData.map((p, i) => p && { ...p, slot: i + 1 }).filter(Boolean);
+  const hasId = p => p.id !== undefined && p.id !== null && p.id !== '';
+
+  const ids = members.filter(hasId).map(p => p.id);
+  const byId = ids.length ? await q('SELECT sid, name FROM pokemon WHERE sid IN (?)', [ids]) : [];
+  const byName = await rowsByName('SELECT sid, name FROM pokemon WHERE name IN (?)', members.filter(p => !hasId(p)).map(p => p.name));
+  const speciesOf = p => hasId(p) ? byId.find(r => String(r.sid) === String(p.id)) : byName.get(String(p.name || '').toLowerCase());
+
+  const moveNames = p => (p.selectedMoves || p.moves || []).filter(m => typeof m === 'string' && m.trim()).map(m => m.trim());
+  const items = await rowsByName('SELECT name FROM items WHERE name IN (?)', members.map(p => p.item));
+  const moves = await rowsByName('SELECT code, name FROM moves WHERE name IN (?)', members.flatMap(moveNames));
+  const natures = await rowsByName('SELECT name FROM nature WHERE name IN (?)', members.map(p => p.nature));
+
+  const sids = Array.from(new Set(members.map(speciesOf).filter(Boolean).map(r => r.sid)));
+  const codes = Array.from(moves.values()).map(m => m.code);
+  const abilityRows = sids.length ? await q('SELECT pokemon_sid, ability_name FROM pokemon_abilities WHERE pokemon_sid IN (?)', [sids]) : [];
+  const learnable = sids.length && codes.length
+    ? await q('SELECT pokemon_sid, move_code FROM pokemon_moves WHERE pokemon_sid IN (?) AND move_code IN (?)', [sids, codes])
+    : [];
+
+  return members.map(p => {
+    const mon = speciesOf(p);
+    if (!mon) return { slot: p.slot, species: p.name || `#${p.id}`, known: false };
+    const abilities = abilityRows.filter(r => r.pokemon_sid === mon.sid).map(r => r.ability_name);
+    const ability = p.ability ? (abilities.find(a => a.toLowerCase() === String(p.ability).toLowerCase()) || p.ability) : null;
+    return {
+      slot: p.slot,
+      species: mon.name,
+      sid: mon.sid,
+      known: true,
+      level: Number(p.level || 50),
+      item: p.item || null,
+      itemKnown: !p.item || items.has(String(p.item).toLowerCase()),
+      ability,
+      abilities,
+      nature: p.nature || null,
+      natureKnown: !p.nature || natures.has(String(p.nature).toLowerCase()),
+      evs: dmgcalc.normalizeSpread(p.evs, 0),
+      ivs: dmgcalc.normalizeSpread(p.ivs, dmgcalc.MAX_IV),
+      moves: moveNames(p).map(name => {
+        const row = moves.get(name.toLowerCase());
+        return {
+          name: row ? row.name : name,
+          known: !!row,
+          learnable: !!row && learnable.some(l => l.pokemon_sid === mon.sid && l.move_code === row.code)
+        };
+      })
+    };
+  });
+}
+
+// Formats the legality validator knows about
+app.get('/team/formats', (req, res) => {
+  res.json({ formats: teamValidator.listFormats() });
+});
+
+// Check a team against a format without saving it
+app.post('/team/validate', async (req, res) => {
+  const { teamData, format } = req.body || {};
+  if (!teamData || !Array.isArray(teamData)) return res.status(400).json({ error: 'Invalid team data' });
+
+  try {
+    const slots = await resolveTeamForValidation(teamData);
+    const result = teamValidator.validateTeam(slots, format || 'VGC');
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error('team validate error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Legality check shared by the team write routes: null when the team may be saved, else { status, body }
+async function teamLegalityProblem(teamData, format) {
+  const legality = teamValidator.validateTeam(await resolveTeamForValidation(teamData), format);
+  if (legality.error) return { status: 400, body: { error: legality.error } };
+  if (!legality.valid) return { status: 400, body: { error: `Team is not legal in ${legality.format}`, errors: legality.errors } };
+  return null;
+}
+
+// Remove a team's members and everything hanging off them
+async function deleteTeamMembers(teamId, query = q) {
+  await query('DELETE FROM team_pokemon_moves WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
+  await query('DELETE FROM team_pokemon_evs WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
+  await query('DELETE FROM team_pokemon_ivs WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
+  await query('DELETE FROM team_pokemon WHERE team_id = ?', [teamId]);
+}
+
+// Remove a team and everything stored for it
+async function deleteTeam(teamId, query = q) {
+  await deleteTeamMembers(teamId, query);
+  await query('DELETE FROM team_tags WHERE team_id = ?', [teamId]);
+  await query('DELETE FROM team_versions WHERE team_id = ?', [teamId]);
+  await query('DELETE FROM matchups WHERE team_id = ?', [teamId]);
+  await query('DELETE FROM teams WHERE id = ?', [teamId]);
+}
+
+// Teams belong to a player row; create it on the user's first save
+async function ensurePlayer(userId) {
+  const playerCheck = await q('SELECT user_id FROM player WHERE user_id = ?', [userId]);
+  if (playerCheck.length === 0) await q('INSERT INTO player (user_id) VALUES (?)', [userId]);
+}
+
+// The user's team quota: their own override, else their role's default (null = unlimited)
+async function teamQuotaFor(user) {
+  const rows = await q('SELECT role, team_quota FROM users WHERE id = ? LIMIT 1', [user.id]);
+  const row = rows[0] || {};
+  if (row.team_quota !== null && row.team_quota !== undefined) return row.team_quota;
+  const role = row.role || user.role;
+  return role in TEAM_QUOTAS ? TEAM_QUOTAS[role] : TEAM_QUOTAS.player;
+}
+
+async function teamQuotaUsage(user) {
+  const [{ count }] = await q('SELECT COUNT(*) AS count FROM teams WHERE player_id = ?', [user.id]);
+  return { used: Number(count), limit: await teamQuotaFor(user) };
+}
+
+const DEFAULT_EVS = { hp: 0, attack: 0, defence: 0, sp_atk: 0, sp_def: 0, spd: 0 };
+const DEFAULT_IVS = { hp: 31, attack: 31, defence: 31, sp_atk: 31, sp_def: 31, spd: 31 };
+const spreadRow = (id, s) => [id, s.hp, s.attack, s.defence, s.sp_atk, s.sp_def, s.spd];
+
+// Replace a team's members with builder-shaped team data (slot = array index + 1).
+// Items and moves are resolved in bulk and each table is written with one multi-row insert;
+// run it inside withTransaction so the old members come back if any step fails.
+async function writeTeamMembers(teamId, teamData, query = q) {
+  await deleteTeamMembers(teamId, query);
+
+  const members = teamData.map((pokemon, i) => pokemon && { pokemon, slot: i + 1 }).filter(Boolean);
+  if (!members.length) return;
+
+  const items = await rowsByName('SELECT item_no, name FROM items WHERE name IN (?)', members.map(m => m.pokemon.item), query);
+  const moveNames = members.flatMap(m => Array.isArray(m.pokemon.selectedMoves) ? m.pokemon.selectedMoves : []);
+  const moves = await rowsByName('SELECT code, name FROM moves WHERE name IN (?)', moveNames, query);
+
+  await query(`
+    INSERT INTO team_pokemon (team_id, slot, pokemon_sid, item_no, ability_name, nature, level, gender, shiny)
+    VALUES ?
+  `, [members.map(({ pokemon, slot }) => {
+    const item = pokemon.item && items.get(String(pokemon.item).toLowerCase());
+    return [teamId, slot, pokemon.id, item ? item.item_no : null, pokemon.ability, pokemon.nature, pokemon.level || 50, pokemon.gender || 'N', pokemon.shiny ? 1 : 0];
+  })]);
+
+  // Multi-row inserts only report the first id, so read the new ids back by slot
+  const inserted = await query('SELECT id, slot FROM team_pokemon WHERE team_id = ?', [teamId]);
+  const idBySlot = new Map(inserted.map(r => [r.slot, r.id]));
+
+  const moveRows = [];
+  const evRows = [];
+  const ivRows = [];
+  members.forEach(({ pokemon, slot }) => {
+    const teamPokemonId = idBySlot.get(slot);
+    (Array.isArray(pokemon.selectedMoves) ? pokemon.selectedMoves : []).forEach((moveName, j) => {
+      const move = moveName && moves.get(String(moveName).toLowerCase());
+      if (move) moveRows.push([teamPokemonId, move.code, j + 1]);
+    });
+    evRows.push(spreadRow(teamPokemonId, pokemon.evs || DEFAULT_EVS));
+    ivRows.push(spreadRow(teamPokemonId, pokemon.ivs || DEFAULT_IVS));
+  });
+
+  if (moveRows.length) await query('INSERT INTO team_pokemon_moves (team_pokemon_id, move_code, slot) VALUES ?', [moveRows]);
+  await query('INSERT INTO team_pokemon_evs (team_pokemon_id, hp, atk, def, spa, spd, spe) VALUES ?', [evRows]);
+  await query('INSERT INTO team_pokemon_ivs (team_pokemon_id, hp, atk, def, spa, spd, spe) VALUES ?', [ivRows]);
+}
+
+// Snapshot a team's current members as its next version; returns the version number
+async function recordTeamVersion(teamId, query = q) {
+  const [team] = await query('SELECT team_name, format FROM teams WHERE id = ? LIMIT 1', [teamId]);
+  const sets = await loadTeamSets(teamId, query);
+  const [{ latest }] = await query('SELECT MAX(version) AS latest FROM team_versions WHERE team_id = ? FOR UPDATE', [teamId]);
+  const version = (latest || 0) + 1;
+  await query('INSERT INTO team_versions (team_id, version, team_name, format, snapshot) VALUES (?, ?, ?, ?, ?)',
+    [teamId, version, team.team_name, team.format, JSON.stringify(sets)]);
+  return version;
+}
+
+// Snapshot sets back into builder-shaped team data (6 slots, null for empty ones)
+function setsToTeamData(sets) {
+  const teamData = Array(6).fill(null);
+  sets.forEach(set => {
+    if (set.slot < 1 || set.slot > 6) return;
+    teamData[set.slot - 1] = {
+      id: set.sid,
+      name: set.name,
+      level: set.level,
+      ability: set.ability,
+      item: set.item,
+      nature: set.nature,
+      gender: set.gender,
+      shiny: set.shiny,
+      selectedMoves: set.moves,
+      evs: set.evs,
+      ivs: set.ivs
+    };
+  });
+  return teamData;
+}
+
+// Save team to database (auth required)
+app.post('/team/save', authMiddleware, async (req, res) => {
+    const userId = req.user.id;
+    const { teamName, teamData, format } = req.body;
+
+    if (!teamData || !Array.isArray(teamData)) {
+        return res.status(400).json({ error: 'Invalid team data' });
+    }
+    if (teamName) {
+        const nameError = teamNameError(teamName);
+        if (nameError) return res.status(400).json({ error: nameError });
+    }
+
+    try {
+        // Only legal teams are saved
+        const problem = await teamLegalityProblem(teamData, format || 'VGC');
+        if (problem) return res.status(problem.status).json(problem.body);
+
+        await ensurePlayer(userId);
+
+      // Enforce the user's team quota (unless updating existing team name)
+      const desiredName = teamName || 'My Team';
+      const existingTeam = await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? LIMIT 1', [userId, desiredName]);
+      if (!existingTeam.length) {
+        const quota = await teamQuotaUsage(req.user);
+        if (quota.limit !== null && quota.used >= quota.limit) {
+          return res.status(400).json({ error: `Team limit reached (max ${quota.limit}). Delete a team before saving a new one.`, quota });
+        }
+      }
+
+        // Create or update the team, its members and the version snapshot as one transaction
+        const { teamId, version } = await withTransaction(async query => {
+          const teamResult = await query(`
+            INSERT INTO teams (player_id, team_name, format, created_at, updated_at)
+            VALUES (?, ?, ?, NOW(), NOW())
+            ON DUPLICATE KEY UPDATE team_name = ?, format = ?, updated_at = NOW()
+          `, [userId, desiredName, format || 'VGC', desiredName, format || 'VGC']);
+
+          const id = teamResult.insertId || (await query('SELECT id FROM teams WHERE player_id = ? AND team_name = ? ORDER BY created_at DESC LIMIT 1', [userId, desiredName]))[0].id;
+          await writeTeamMembers(id, teamData, query);
+          return { teamId: id, version: await recordTeamVersion(id, query) };
+        });
+
+        res.json({ success: true, teamId, version });
+    } catch (err) {
+        console.error('team save error:', err);
+        res.status(500).json({ error: 'Database error: ' + err.message });
+    }
+});
+
+// Full builder data for a saved team in a fixed number of queries: a 6-slot array (null for empty
+// slots) whose members carry species data, learnable moves and the saved set
+async function loadHydratedTeam(teamId) {
+  const members = await q(`
+    SELECT tp.*, p.name AS pokemon_name, i.name AS item_name
+    FROM team_pokemon tp
+    JOIN pokemon p ON tp.pokemon_sid = p.sid
+    LEFT JOIN items i ON tp.item_no = i.item_no
+    WHERE tp.team_id = ?
+    ORDER BY tp.slot
+  `, [teamId]);
+
+  const team = Array(6).fill(null);
+  if (!members.length) return team;
+
+  const ids = members.map(m => m.id);
+  const sids = Array.from(new Set(members.map(m => m.pokemon_sid)));
+  const moves = await q(`
+    SELECT tpm.team_pokemon_id, m.name
+    FROM team_pokemon_moves tpm
+    JOIN moves m ON tpm.move_code = m.code
+    WHERE tpm.team_pokemon_id IN (?)
+    ORDER BY tpm.slot
+  `, [ids]);
+  const evs = await q('SELECT * FROM team_pokemon_evs WHERE team_pokemon_id IN (?)', [ids]);
+  const ivs = await q('SELECT * FROM team_pokemon_ivs WHERE team_pokemon_id IN (?)', [ids]);
+  const types = await q('SELECT pokemon_sid, type_name, type_name1 FROM pokemon_types WHERE pokemon_sid IN (?)', [sids]);
+  const abilities = await q('SELECT pokemon_sid, ability_name FROM pokemon_abilities WHERE pokemon_sid IN (?)', [sids]);
+  const stats = await q('SELECT * FROM bst WHERE pokemon_sid IN (?)', [sids]);
+  const learnsets = await q(`
+    SELECT pm.pokemon_sid, m.code, m.name, m.type_name as type, m.power, m.accuracy, m.category
+    FROM pokemon_moves pm
+    JOIN moves m ON pm.move_code = m.code
+    WHERE pm.pokemon_sid IN (?)
+    ORDER BY m.name
+  `, [sids]);
+
+  members.forEach((tp, i) => {
+    const typeRow = types.find(t => t.pokemon_sid === tp.pokemon_sid);
+    const ev = evs.find(r => r.team_pokemon_id === tp.id);
+    const iv = ivs.find(r => r.team_pokemon_id === tp.id);
+    const index = tp.slot >= 1 && tp.slot <= 6 && !team[tp.slot - 1] ? tp.slot - 1 : team.indexOf(null);
+    if (index === -1) return;
+    team[index] = {
+      id: tp.pokemon_sid,
+      name: tp.pokemon_name,
+      types: typeRow ? [typeRow.type_name, typeRow.type_name1].filter(Boolean) : [],
+      abilities: abilities.filter(a => a.pokemon_sid === tp.pokemon_sid).map(a => a.ability_name),
+      stats: stats.find(r => r.pokemon_sid === tp.pokemon_sid) || {},
+      moves: learnsets.filter(m => m.pokemon_sid === tp.pokemon_sid).map(({ pokemon_sid, ...m }) => m),
+      level: tp.level,
+      ability: tp.ability_name,
+      item: tp.item_name,
+      nature: tp.nature,
+      gender: tp.gender,
+      shiny: tp.shiny === 1,
+      selectedMoves: moves.filter(m => m.team_pokemon_id === tp.id).map(m => m.name),
+      evs: ev ? spreadFromRow(ev) : {},
+      ivs: iv ? spreadFromRow(iv) : {}
+    };
+  });
+  return team;
+}
+
+// Load the most recently created team (auth required)
+app.get('/team/load', authMiddleware, async (req, res) => {
+  try {
+    const teams = await q('SELECT * FROM teams WHERE player_id = ? ORDER BY created_at DESC LIMIT 1', [req.user.id]);
+    if (teams.length === 0) return res.json({ team: null });
+
+    const team = await loadHydratedTeam(teams[0].id);
+    res.json({ team, teamName: teams[0].team_name, teamId: teams[0].id });
+  } catch (err) {
+    console.error('team load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Sort keys for /team/list and the direction each defaults to
+const TEAM_LIST_SORTS = {
+  modified: { column: 'COALESCE(t.updated_at, t.created_at)', order: 'DESC' },
+  created: { column: 't.created_at', order: 'DESC' },
+  name: { column: 't.team_name', order: 'ASC' },
+  format: { column: 't.format', order: 'ASC' }
+};
+
+// Tags for a set of teams, keyed by team id
+async function tagsByTeam(teamIds) {
+  const rows = teamIds.length ? await q('SELECT team_id, tag FROM team_tags WHERE team_id IN (?) ORDER BY tag', [teamIds]) : [];
+  const map = new Map(teamIds.map(id => [id, []]));
+  rows.forEach(r => map.get(r.team_id).push(r.tag));
+  return map;
+}
+
+// List the current user's teams. Filters: ?format=, ?folder=, ?tag=; ?sort=modified|created|name|format&order=asc|desc
+app.get('/team/list', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const { format, folder, tag, sort = 'modified', order } = req.query;
+
+  const sortBy = TEAM_LIST_SORTS[sort];
+  if (!sortBy) return res.status(400).json({ error: `sort must be one of: ${Object.keys(TEAM_LIST_SORTS).join(', ')}` });
+  if (order !== undefined && !['asc', 'desc'].includes(String(order).toLowerCase())) return res.status(400).json({ error: 'order must be asc or desc' });
+  const direction = order ? String(order).toUpperCase() : sortBy.order;
+
+  const where = ['t.player_id = ?'];
+  const params = [userId];
+  if (format) { where.push('t.format = ?'); params.push(format); }
+  if (folder) { where.push('t.folder = ?'); params.push(folder); }
+  if (tag) { where.push('EXISTS (SELECT 1 FROM team_tags tt WHERE tt.team_id = t.id AND tt.tag = ?)'); params.push(tag); }
+
+  try {
+    const teams = await q(`
+      SELECT t.id, t.team_name, t.format, t.folder, t.forked_from, t.created_at, COALESCE(t.updated_at, t.created_at) AS updated_at
+      FROM teams t
+      WHERE ${where.join(' AND ')}
+      ORDER BY ${sortBy.column} ${direction}, t.id DESC
+    `, params);
+    const tags = await tagsByTeam(teams.map(t => t.id));
+    teams.forEach(t => { t.tags = tags.get(t.id); });
+
+    // Everything the user has, for the filter dropdowns
+    const folders = await q('SELECT DISTINCT folder FROM teams WHERE player_id = ? AND folder IS NOT NULL ORDER BY folder', [userId]);
+    const allTags = await q('SELECT DISTINCT tt.tag FROM team_tags tt JOIN teams t ON tt.team_id = t.id WHERE t.player_id = ? ORDER BY tt.tag', [userId]);
+
+    res.json({
+      teams,
+      folders: folders.map(r => r.folder),
+      tags: allTags.map(r => r.tag),
+      quota: await teamQuotaUsage(req.user)
+    });
+  } catch (err) {
+    console.error('team list error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// How many teams the user has saved and may save
+app.get('/team/quota', authMiddleware, async (req, res) => {
+  try {
+    res.json(await teamQuotaUsage(req.user));
+  } catch (err) {
+    console.error('team quota error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Calc-ready sets for one of the user's saved teams
+app.get('/team/:id/sets', authMiddleware, async (req, res) => {
+  try {
+    const team = await q('SELECT id, team_name FROM teams WHERE id = ? AND player_id = ? LIMIT 1', [req.params.id, req.user.id]);
+    if (!team.length) return res.status(404).json({ error: 'Team not found' });
+    const sets = await loadTeamSets(team[0].id);
+    res.json({ teamId: team[0].id, teamName: team[0].team_name, sets });
+  } catch (err) {
+    console.error('team sets error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Showdown export of one of the user's saved teams, as plain text
+app.get('/team/:id/export', authMiddleware, async (req, res) => {
+  try {
+    const team = await q('SELECT id FROM teams WHERE id = ? AND player_id = ? LIMIT 1', [req.params.id, req.user.id]);
+    if (!team.length) return res.status(404).json({ error: 'Team not found' });
+    const sets = await loadTeamSets(team[0].id);
+    res.type('text/plain').send(showdown.formatTeam(sets));
+  } catch (err) {
+    console.error('team export error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Case-insensitive name -> row map for a bulk IN (?) lookup
+async function rowsByName(sql, names, query = q) {
+  const unique = Array.from(new Set(names.filter(Boolean)));
+  const rows = unique.length ? await query(sql, [unique]) : [];
+  const map = new Map();
+  rows.forEach(r => map.set(String(r.name).toLowerCase(), r));
+  return map;
+}
+
+// Parse a Showdown paste and resolve it into team builder data (the same shape as /team/load).
+// Returns { team } or { error, errors } with unknown names reported per line.
+async function resolvePaste(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) return { error: 'Paste text is required' };
+  if (text.length > 20000) return { error: 'Paste is too long' };
+
+  const { sets, errors } = showdown.parsePaste(text);
+  if (sets.length === 0) return { error: 'No Pokémon found in paste', errors };
+  if (sets.length > 6) errors.push({ line: sets[6].lines.species, message: 'A team can have at most 6 Pokémon' });
+
+  const species = await rowsByName('SELECT sid, name FROM pokemon WHERE name IN (?)', sets.map(s => s.species));
+  const items = await rowsByName('SELECT item_no, name FROM items WHERE name IN (?)', sets.map(s => s.item));
+  const moves = await rowsByName('SELECT code, name FROM moves WHERE name IN (?)', sets.flatMap(s => s.moves));
+  const natures = await rowsByName('SELECT name FROM nature WHERE name IN (?)', sets.map(s => s.nature));
+
+  const sids = Array.from(species.values()).map(r => r.sid);
+  const abilityRows = sids.length ? await q('SELECT pokemon_sid, ability_name FROM pokemon_abilities WHERE pokemon_sid IN (?)', [sids]) : [];
+  const typeRows = sids.length ? await q('SELECT pokemon_sid, type_name, type_name1 FROM pokemon_types WHERE pokemon_sid IN (?)', [sids]) : [];
+  const statRows = sids.length ? await q('SELECT * FROM bst WHERE pokemon_sid IN (?)', [sids]) : [];
+
+  const team = sets.slice(0, 6).map(set => {
+    const mon = species.get(String(set.species).toLowerCase());
+    if (!mon) {
+      errors.push({ line: set.lines.species, message: `Unknown Pokémon "${set.species}"` });
+      return null;
+    }
+    const abilities = abilityRows.filter(r => r.pokemon_sid === mon.sid).map(r => r.ability_name);
+
+    let item = null;
+    if (set.item) {
+      const row = items.get(set.item.toLowerCase());
+      if (row) item = row.name;
+      else errors.push({ line: set.lines.item, message: `Unknown item "${set.item}"` });
+    }
+    let ability = abilities[0] || null;
+    if (set.ability) {
+      ability = abilities.find(a => a.toLowerCase() === set.ability.toLowerCase()) || null;
+      if (!ability) errors.push({ line: set.lines.ability, message: `${mon.name} cannot have the ability "${set.ability}"` });
+    }
+    let nature = 'Hardy';
+    if (set.nature) {
+      const row = natures.get(set.nature.toLowerCase());
+      if (row) nature = row.name;
+      else errors.push({ line: set.lines.nature, message: `Unknown nature "${set.nature}"` });
+    }
+    const selectedMoves = set.moves.map((name, i) => {
+      const row = moves.get(name.toLowerCase());
+      if (!row) errors.push({ line: set.lines.moves[i], message: `Unknown move "${name}"` });
+      return row ? row.name : '';
+    });
+    while (selectedMoves.length < 4) selectedMoves.push('');
+
+    const normalized = dmgcalc.normalizeSet({ level: set.level, evs: set.evs, ivs: set.ivs }, mon.name);
+    if (normalized.error) errors.push({ line: set.lines.evs || set.lines.ivs || set.lines.species, message: normalized.error });
+
+    const types = typeRows.find(r => r.pokemon_sid === mon.sid);
+    return {
+      id: mon.sid,
+      name: mon.name,
+      types: types ? [types.type_name, types.type_name1].filter(Boolean) : [],
+      abilities,
+      stats: statRows.find(r => r.pokemon_sid === mon.sid) || {},
+      level: set.level,
+      ability,
+      item,
+      nature,
+      gender: set.gender || 'N',
+      shiny: set.shiny,
+      selectedMoves,
+      evs: set.evs,
+      ivs: set.ivs
+    };
+  });
+
+  if (errors.length) {
+    errors.sort((a, b) => a.line - b.line);
+    return { error: `Could not import team (${errors.length} problem${errors.length === 1 ? '' : 's'})`, errors };
+  }
+  while (team.length < 6) team.push(null);
+  return { team };
+}
+
+// Nothing is saved by an import; the builder loads the result like a saved team
+app.post('/team/import', async (req, res) => {
+  try {
+    const resolved = await resolvePaste((req.body || {}).text);
+    if (resolved.error) return res.status(400).json({ error: resolved.error, errors: resolved.errors });
+    res.json({ team: resolved.team });
+  } catch (err) {
+    console.error('team import error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Delete a team by name
+app.delete('/team/delete', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const { teamName } = req.body;
+
+  if (!teamName || teamName.trim() === '') {
+    return res.status(400).json({ error: 'Team name is required' });
+  }
+
+  try {
+    // Find the team
+    const team = await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? LIMIT 1', [userId, teamName]);
+    if (!team || team.length === 0) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const teamId = team[0].id;
+
+    await withTransaction(query => deleteTeam(teamId, query));
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('team delete error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== TEAMS (by id) ====================
+
+// The caller's team row, or a { status, error } to send back
+async function findOwnedTeam(teamId, user) {
+  const rows = await q('SELECT id, player_id, team_name, format, folder, forked_from, created_at, updated_at FROM teams WHERE id = ? LIMIT 1', [teamId]);
+  if (!rows.length) return { status: 404, error: 'Team not found' };
+  if (String(rows[0].player_id) !== String(user.id)) return { status: 403, error: 'Not your team' };
+  return { team: rows[0] };
+}
+
+// Team names are unique per player
+async function teamNameTaken(userId, name, exceptId) {
+  const rows = await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? AND id <> ? LIMIT 1', [userId, name, exceptId]);
+  return rows.length > 0;
+}
+
+// Characters kept out of team names, which other users see once a team is shared or cloned
+const TEAM_NAME_FORBIDDEN = /[<>"']/;
+
+function teamNameError(name) {
+  if (typeof name !== 'string' || !name.trim()) return 'Team name is required';
+  if (name.trim().length > 100) return 'Team name too long (max 100 chars)';
+  if (TEAM_NAME_FORBIDDEN.test(name)) return 'Team name cannot contain < > " or \'';
+  return null;
+}
+
+// Folder name ('' or null clears it); returns { folder } or { error }
+function parseTeamFolder(folder) {
+  if (folder === null || folder === '') return { folder: null };
+  if (typeof folder !== 'string') return { error: 'folder must be a string' };
+  if (folder.trim().length > 50) return { error: 'Folder name too long (max 50 chars)' };
+  return { folder: folder.trim() || null };
+}
+
+// Tag list, trimmed and de-duplicated (case-insensitively); returns { tags } or { error }
+const MAX_TEAM_TAGS = 10;
+function parseTeamTags(tags) {
+  if (!Array.isArray(tags)) return { error: 'tags must be a list of strings' };
+  const out = [];
+  for (const raw of tags) {
+    if (typeof raw !== 'string') return { error: 'tags must be a list of strings' };
+    const tag = raw.trim();
+    if (!tag) continue;
+    if (tag.length > 30) return { error: `Tag "${tag}" is too long (max 30 chars)` };
+    if (!out.some(t => t.toLowerCase() === tag.toLowerCase())) out.push(tag);
+  }
+  if (out.length > MAX_TEAM_TAGS) return { error: `A team can have at most ${MAX_TEAM_TAGS} tags` };
+  return { tags: out };
+}
+
+app.get('/teams/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const { team } = owned;
+    res.json({
+      id: team.id,
+      teamName: team.team_name,
+      format: team.format,
+      folder: team.folder,
+      tags: (await tagsByTeam([team.id])).get(team.id),
+      forked_from: team.forked_from,
+      created_at: team.created_at,
+      updated_at: team.updated_at || team.created_at,
+      team: await loadHydratedTeam(team.id)
+    });
+  } catch (err) {
+    console.error('team get error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Replace a team's members (and optionally its name/format)
+app.put('/teams/:id', authMiddleware, async (req, res) => {
+  const { teamName, teamData, format } = req.body || {};
+  if (!teamData || !Array.isArray(teamData)) return res.status(400).json({ error: 'Invalid team data' });
+
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const { team } = owned;
+
+    const name = teamName === undefined ? team.team_name : teamName;
+    const nameError = teamNameError(name);
+    if (nameError) return res.status(400).json({ error: nameError });
+    if (await teamNameTaken(req.user.id, name.trim(), team.id)) return res.status(409).json({ error: `You already have a team called "${name.trim()}"` });
+
+    const nextFormat = format || team.format || 'VGC';
+    const problem = await teamLegalityProblem(teamData, nextFormat);
+    if (problem) return res.status(problem.status).json(problem.body);
+
+    const version = await withTransaction(async query => {
+      await query('UPDATE teams SET team_name = ?, format = ?, updated_at = NOW() WHERE id = ?', [name.trim(), nextFormat, team.id]);
+      await writeTeamMembers(team.id, teamData, query);
+      return recordTeamVersion(team.id, query);
+    });
+    res.json({ success: true, teamId: team.id, version });
+  } catch (err) {
+    console.error('team put error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Rename a team, change its format or file it (folder, tags) without touching the members
+app.patch('/teams/:id', authMiddleware, async (req, res) => {
+  const { teamName, format, folder, tags } = req.body || {};
+  if ([teamName, format, folder, tags].every(v => v === undefined)) return res.status(400).json({ error: 'Nothing to update (teamName, format, folder or tags)' });
+
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const { team } = owned;
+
+    const updates = {};
+    if (teamName !== undefined) {
+      const nameError = teamNameError(teamName);
+      if (nameError) return res.status(400).json({ error: nameError });
+      if (await teamNameTaken(req.user.id, teamName.trim(), team.id)) return res.status(409).json({ error: `You already have a team called "${teamName.trim()}"` });
+      updates.team_name = teamName.trim();
+    }
+    if (format !== undefined) {
+      // The saved members have to be legal in the new format
+      const problem = await teamLegalityProblem(await loadTeamSets(team.id), format);
+      if (problem) return res.status(problem.status).json(problem.body);
+      updates.format = format;
+    }
+    if (folder !== undefined) {
+      const parsed = parseTeamFolder(folder);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      updates.folder = parsed.folder;
+    }
+    let newTags;
+    if (tags !== undefined) {
+      const parsed = parseTeamTags(tags);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      newTags = parsed.tags;
+    }
+
+    await withTransaction(async query => {
+      if (Object.keys(updates).length) await query('UPDATE teams SET ? WHERE id = ?', [updates, team.id]);
+      await query('UPDATE teams SET updated_at = NOW() WHERE id = ?', [team.id]);
+      if (newTags) {
+        await query('DELETE FROM team_tags WHERE team_id = ?', [team.id]);
+        if (newTags.length) await query('INSERT INTO team_tags (team_id, tag) VALUES ?', [newTags.map(tag => [team.id, tag])]);
+      }
+    });
+    res.json({
+      success: true,
+      id: team.id,
+      teamName: updates.team_name || team.team_name,
+      format: updates.format || team.format,
+      folder: 'folder' in updates ? updates.folder : team.folder,
+      tags: newTags || (await tagsByTeam([team.id])).get(team.id)
+    });
+  } catch (err) {
+    console.error('team patch error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+app.delete('/teams/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    await withTransaction(query => deleteTeam(owned.team.id, query));
+    res.json({ success: true });
+  } catch (err) {
+    console.error('team delete error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Version history: every save is kept as an immutable snapshot
+async function findTeamVersion(teamId, version) {
+  const rows = await q('SELECT version, team_name, format, snapshot, created_at FROM team_versions WHERE team_id = ? AND version = ? LIMIT 1', [teamId, version]);
+  if (!rows.length) return null;
+  const { snapshot, ...row } = rows[0];
+  return { ...row, sets: JSON.parse(snapshot) };
+}
+
+app.get('/teams/:id/versions', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const rows = await q('SELECT version, team_name, format, snapshot, created_at FROM team_versions WHERE team_id = ? ORDER BY version DESC', [owned.team.id]);
+    const versions = rows.map(({ snapshot, ...row }) => ({ ...row, members: JSON.parse(snapshot).map(s => s.name) }));
+    res.json({ teamId: owned.team.id, versions });
+  } catch (err) {
+    console.error('team versions error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+app.get('/teams/:id/versions/:version', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const version = await findTeamVersion(owned.team.id, req.params.version);
+    if (!version) return res.status(404).json({ error: 'Version not found' });
+    res.json(version);
+  } catch (err) {
+    console.error('team version error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Per-slot changes between two versions; ?from=N&to=M, where to defaults to the current team
+app.get('/teams/:id/diff', authMiddleware, async (req, res) => {
+  const { from, to } = req.query;
+  if (!from) return res.status(400).json({ error: 'from version is required' });
+
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const fromVersion = await findTeamVersion(owned.team.id, from);
+    if (!fromVersion) return res.status(404).json({ error: `Version ${from} not found` });
+    let toSets;
+    if (to && to !== 'current') {
+      const toVersion = await findTeamVersion(owned.team.id, to);
+      if (!toVersion) return res.status(404).json({ error: `Version ${to} not found` });
+      toSets = toVersion.sets;
+    } else {
+      toSets = await loadTeamSets(owned.team.id);
+    }
+
+    res.json({
+      teamId: owned.team.id,
+      from: fromVersion.version,
+      to: to && to !== 'current' ? Number(to) : 'current',
+      slots: teamDiff.diffTeams(fromVersion.sets, toSets)
+    });
+  } catch (err) {
+    console.error('team diff error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Make an old version the current team again; this is itself recorded as a new version
+app.post('/teams/:id/versions/:version/restore', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const old = await findTeamVersion(owned.team.id, req.params.version);
+    if (!old) return res.status(404).json({ error: 'Version not found' });
+
+    const teamData = setsToTeamData(old.sets);
+    const format = old.format || owned.team.format || 'VGC';
+    const problem = await teamLegalityProblem(teamData, format);
+    if (problem) return res.status(problem.status).json(problem.body);
+
+    const version = await withTransaction(async query => {
+      await query('UPDATE teams SET format = ?, updated_at = NOW() WHERE id = ?', [format, owned.team.id]);
+      await writeTeamMembers(owned.team.id, teamData, query);
+      return recordTeamVersion(owned.team.id, query);
+    });
+    res.json({ success: true, teamId: owned.team.id, restored: old.version, version });
+  } catch (err) {
+    console.error('team restore error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== TEAM ANALYSIS ====================
+
+// Types, base stats, natures and move data for a team's sets, in a fixed number of queries
+async function loadAnalysisMembers(sets) {
+  const sids = sets.map(s => s.sid);
+  const typeRows = await q('SELECT pokemon_sid, type_name, type_name1 FROM pokemon_types WHERE pokemon_sid IN (?)', [sids]);
+  const statRows = await q('SELECT pokemon_sid, hp, attack, sp_atk, defence, sp_def, spd FROM bst WHERE pokemon_sid IN (?)', [sids]);
+  const natureRows = await rowsByName('SELECT name, increased_stat, decreased_stat FROM nature WHERE name IN (?)', sets.map(s => s.nature));
+  const moveRows = await rowsByName('SELECT name, power, accuracy, type_name, category FROM moves WHERE name IN (?)', sets.flatMap(s => s.moves));
+
+  return sets.map(set => {
+    const types = [];
+    typeRows.filter(r => r.pokemon_sid === set.sid).forEach(r => {
+      if (r.type_name) types.push(String(r.type_name).trim());
+      if (r.type_name1) types.push(String(r.type_name1).trim());
+    });
+    return {
+      slot: set.slot,
+      name: set.name,
+      types: Array.from(new Set(types.filter(Boolean))),
+      ability: set.ability,
+      item: set.item,
+      level: set.level,
+      nature: natureRows.get(String(set.nature).toLowerCase()) || null,
+      evs: dmgcalc.normalizeSpread(set.evs, 0),
+      ivs: dmgcalc.normalizeSpread(set.ivs, dmgcalc.MAX_IV),
+      base_stats: statRows.find(r => r.pokemon_sid === set.sid) || {},
+      moves: set.moves
+        .map(name => moveRows.get(name.toLowerCase()))
+        .filter(Boolean)
+        .map(m => ({ name: m.name, type: m.type_name, category: m.category, power: m.power, accuracy: m.accuracy }))
+    };
+  });
+}
+
+// Weakness/resistance table, offensive coverage, unanswered types and speed tiers for a saved team
+app.get('/teams/:id/analysis', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const sets = await loadTeamSets(owned.team.id);
+    if (!sets.length) return res.status(400).json({ error: 'Team is empty' });
+
+    const members = await loadAnalysisMembers(sets);
+    res.json({ teamId: owned.team.id, teamName: owned.team.team_name, types: typeChart.TYPES, ...teamAnalysis.analyzeTeam(members) });
+  } catch (err) {
+    console.error('team analysis error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== SHARED TEAMS ====================
+
+// Start sharing a team (or return its existing link)
+app.post('/teams/:id/share', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const rows = await q('SELECT share_token FROM teams WHERE id = ? LIMIT 1', [owned.team.id]);
+    let token = rows[0] && rows[0].share_token;
+    if (!token) {
+      token = crypto.randomBytes(16).toString('hex');
+      await q('UPDATE teams SET share_token = ? WHERE id = ?', [token, owned.team.id]);
+    }
+    res.json({ token, url: `/shared-team.html?token=${token}` });
+  } catch (err) {
+    console.error('team share error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Stop sharing; old links stop working
+app.delete('/teams/:id/share', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    await q('UPDATE teams SET share_token = NULL WHERE id = ?', [owned.team.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('team unshare error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Public read-only view of a shared team. ?sheet=open returns an open team sheet:
+// species, level, item, ability and moves only (no EVs, IVs or nature).
+app.get('/shared/:token', async (req, res) => {
+  const token = String(req.params.token || '');
+  if (!/^[a-f0-9]{32}$/.test(token)) return res.status(404).json({ error: 'Shared team not found' });
+
+  try {
+    const rows = await q(`
+      SELECT t.id, t.team_name, t.format, u.name AS owner
+      FROM teams t
+      LEFT JOIN users u ON t.player_id = u.id
+      WHERE t.share_token = ?
+      LIMIT 1
+    `, [token]);
+    if (!rows.length) return res.status(404).json({ error: 'Shared team not found' });
+    const team = rows[0];
+
+    const openSheet = req.query.sheet === 'open';
+    const sets = (await loadTeamSets(team.id)).map(set => {
+      if (!openSheet) return set;
+      const { slot, sid, name, level, item, ability, gender, moves } = set;
+      return { slot, sid, name, level, item, ability, gender, moves };
+    });
+
+    res.json({ teamName: team.team_name, format: team.format, owner: team.owner || null, sheet: openSheet ? 'open' : 'full', sets });
+  } catch (err) {
+    console.error('shared team error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== CLONING ====================
+
+// First free "<name> (copy)", "<name> (copy 2)", ... for the user; teams named before the
+// character rule may still hold < > " ', which the copy drops
+async function freeCloneName(userId, baseName) {
+  const stem = `${baseName.replace(new RegExp(TEAM_NAME_FORBIDDEN, 'g'), '').trim().slice(0, 85) || 'Team'} (copy`;
+  for (let n = 1; ; n++) {
+    const name = n === 1 ? `${stem})` : `${stem} ${n})`;
+    if (!(await teamNameTaken(userId, name, 0))) return name;
+  }
+}
+
+// Deep-copy a team (members, moves, EVs, IVs) into the user's account.
+// Returns { team } or { status, error }.
+async function cloneTeamFor(user, source, requestedName) {
+  let name;
+  if (requestedName !== undefined && requestedName !== null && requestedName !== '') {
+    const nameError = teamNameError(requestedName);
+    if (nameError) return { status: 400, error: nameError };
+    name = requestedName.trim();
+    if (await teamNameTaken(user.id, name, 0)) return { status: 409, error: `You already have a team called "${name}"` };
+  } else {
+    name = await freeCloneName(user.id, source.team_name);
+  }
+
+  const quota = await teamQuotaUsage(user);
+  if (quota.limit !== null && quota.used >= quota.limit) {
+    return { status: 400, error: `Team limit reached (max ${quota.limit}). Delete a team before cloning another.` };
+  }
+
+  await ensurePlayer(user.id);
+  const teamData = setsToTeamData(await loadTeamSets(source.id));
+  const format = source.format || 'VGC';
+  const created = await withTransaction(async query => {
+    const result = await query(`
+      INSERT INTO teams (player_id, team_name, format, forked_from, created_at, updated_at)
+      VALUES (?, ?, ?, ?, NOW(), NOW())
+    `, [user.id, name, format, source.id]);
+    await writeTeamMembers(result.insertId, teamData, query);
+    return { id: result.insertId, version: await recordTeamVersion(result.insertId, query) };
+  });
+  return { team: { teamId: created.id, teamName: name, format, forkedFrom: source.id, version: created.version } };
+}
+
+// Copy one of your own teams
+app.post('/teams/:id/clone', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedTeam(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+
+    const cloned = await cloneTeamFor(req.user, owned.team, (req.body || {}).teamName);
+    if (cloned.error) return res.status(cloned.status).json({ error: cloned.error });
+    res.status(201).json({ success: true, ...cloned.team });
+  } catch (err) {
+    console.error('team clone error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Fork a team someone shared into your own account
+app.post('/shared/:token/clone', authMiddleware, async (req, res) => {
+  const token = String(req.params.token || '');
+  if (!/^[a-f0-9]{32}$/.test(token)) return res.status(404).json({ error: 'Shared team not found' });
+
+  try {
+    const rows = await q('SELECT id, team_name, format FROM teams WHERE share_token = ? LIMIT 1', [token]);
+    if (!rows.length) return res.status(404).json({ error: 'Shared team not found' });
+
+    const cloned = await cloneTeamFor(req.user, rows[0], (req.body || {}).teamName);
+    if (cloned.error) return res.status(cloned.status).json({ error: cloned.error });
+    res.status(201).json({ success: true, ...cloned.team });
+  } catch (err) {
+    console.error('shared team fork error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== USAGE STATS ====================
+
+// Minutes between usage refreshes; anything but a positive whole number is reported and ignored,
+// since 0 or NaN would make setInterval rerun the aggregation every millisecond
+function usageRefreshMinutes(fallback) {
+  const value = process.env.USAGE_REFRESH_MINUTES;
+  if (value === undefined || value === '') return fallback;
+  const minutes = Number(value);
+  if (!/^\d+$/.test(value.trim()) || !Number.isSafeInteger(minutes) || minutes < 1) {
+    console.error(`USAGE_REFRESH_MINUTES must be a whole number of minutes (1 or more); got "${value}", using ${fallback}`);
+    return fallback;
+  }
+  return minutes;
+}
+const USAGE_REFRESH_MS = usageRefreshMinutes(60) * 60 * 1000;
+
+// Every saved team of a format as { id, members: [{ name, item, ability, nature, evs, moves }] }, in four queries
+async function loadUsageTeams(format) {
+  const teams = await q('SELECT id FROM teams WHERE format = ?', [format]);
+  if (!teams.length) return [];
+  const teamIds = teams.map(t => t.id);
+
+  const members = await q(`
+    SELECT tp.id, tp.team_id, p.name, i.name AS item_name, tp.ability_name, tp.nature
+    FROM team_pokemon tp
+    JOIN pokemon p ON tp.pokemon_sid = p.sid
+    LEFT JOIN items i ON tp.item_no = i.item_no
+    WHERE tp.team_id IN (?)
+  `, [teamIds]);
+  const ids = members.map(m => m.id);
+  const moves = ids.length ? await q(`
+    SELECT tpm.team_pokemon_id, m.name
+    FROM team_pokemon_moves tpm
+    JOIN moves m ON tpm.move_code = m.code
+    WHERE tpm.team_pokemon_id IN (?)
+  `, [ids]) : [];
+  const evs = ids.length ? await q('SELECT * FROM team_pokemon_evs WHERE team_pokemon_id IN (?)', [ids]) : [];
+
+  const movesById = new Map();
+  moves.forEach(r => {
+    if (!movesById.has(r.team_pokemon_id)) movesById.set(r.team_pokemon_id, []);
+    movesById.get(r.team_pokemon_id).push(r.name);
+  });
+  const evsById = new Map(evs.map(r => [r.team_pokemon_id, spreadFromRow(r)]));
+
+  const byTeam = new Map(teamIds.map(id => [id, []]));
+  members.forEach(m => byTeam.get(m.team_id).push({
+    name: m.name,
+    item: m.item_name,
+    ability: m.ability_name,
+    nature: m.nature,
+    evs: evsById.get(m.id),
+    moves: movesById.get(m.id) || []
+  }));
+  return Array.from(byTeam.entries())
+    .filter(([, list]) => list.length)
+    .map(([id, list]) => ({ id, members: list }));
+}
+
+// Recompute and store usage for every format that has saved teams
+async function refreshUsageStats() {
+  const formats = await q('SELECT DISTINCT format FROM teams WHERE format IS NOT NULL');
+  for (const { format } of formats) {
+    const stats = usageStats.aggregateUsage(await loadUsageTeams(format));
+    await q(`
+      INSERT INTO usage_stats (format, team_count, data, computed_at)
+      VALUES (?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE team_count = VALUES(team_count), data = VALUES(data), computed_at = NOW()
+    `, [format, stats.teams, JSON.stringify(stats.pokemon)]);
+  }
+  // Formats nobody plays any more
+  const current = formats.map(f => f.format);
+  if (current.length) await q('DELETE FROM usage_stats WHERE format NOT IN (?)', [current]);
+  else await q('DELETE FROM usage_stats');
+}
+
+// Usage for one format: ?format=VGC (default), optional ?limit= for the number of species
+app.get('/api/usage', async (req, res) => {
+  const format = String(req.query.format || 'VGC');
+  const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) return res.status(400).json({ error: 'limit must be a positive whole number' });
+
+  try {
+    const formats = await q('SELECT format, team_count FROM usage_stats ORDER BY team_count DESC, format');
+    const rows = await q('SELECT team_count, data, computed_at FROM usage_stats WHERE format = ? LIMIT 1', [format]);
+    if (!rows.length) return res.json({ format, teams: 0, computed_at: null, pokemon: [], formats });
+
+    const pokemon = JSON.parse(rows[0].data);
+    res.json({
+      format,
+      teams: rows[0].team_count,
+      computed_at: rows[0].computed_at,
+      pokemon: limit === null ? pokemon : pokemon.slice(0, limit),
+      formats
+    });
+  } catch (err) {
+    console.error('usage error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Rebuild usage stats now instead of waiting for the timer (admin only)
+app.post('/api/admin/usage/refresh', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    await refreshUsageStats();
+    res.json({ success: true });
+  } catch (err) {
+    console.error('usage refresh error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ==================== MATCHUP PLANNER ====================
+
+const MATCHUP_NOTES_MAX = 5000;
+
+// Calc-ready members: loaded like the analysis members, plus real stats and no stat stages
+async function loadPlannerMembers(sets) {
+  const members = await loadAnalysisMembers(sets);
+  return members.map(m => {
+    const boosts = {};
+    dmgcalc.BOOST_KEYS.forEach(k => { boosts[k] = 0; });
+    return { ...m, stats: dmgcalc.calcStats(m.base_stats, m, m.nature), boosts, intimidated: 0 };
+  });
+}
+
+// Builder-shaped members from resolvePaste() as the sets loadTeamSets() returns
+function pasteSets(team) {
+  return team.filter(Boolean).map((p, i) => ({
+    slot: i + 1,
+    sid: p.id,
+    name: p.name,
+    level: p.level,
+    nature: p.nature,
+    ability: p.ability,
+    item: p.item,
+    evs: p.evs,
+    ivs: p.ivs,
+    moves: p.selectedMoves.filter(Boolean)
+  }));
+}
+
+// Plan one of the user's teams against a pasted team; returns { team, field, plan } or { status, error }
+async function buildMatchupPlan(user, teamId, paste, fieldInput) {
+  const owned = await findOwnedTeam(teamId, user);
+  if (owned.error) return owned;
+  const fieldParsed = dmgcalc.normalizeField(fieldInput);
+  if (fieldParsed.error) return { status: 400, error: fieldParsed.error };
+  const resolved = await resolvePaste(paste);
+  if (resolved.error) return { status: 400, error: `Opponent: ${resolved.error}`, errors: resolved.errors };
+
+  const sets = await loadTeamSets(owned.team.id);
+  if (!sets.length) return { status: 400, error: 'Team is empty' };
+  const ours = await loadPlannerMembers(sets);
+  const theirs = await loadPlannerMembers(pasteSets(resolved.team));
+
+  return {
+    team: owned.team,
+    field: fieldParsed.field,
+    plan: {
+      teamId: owned.team.id,
+      teamName: owned.team.team_name,
+      opponent: theirs.map(m => m.name),
+      field: fieldParsed.field,
+      ...matchupPlanner.planMatchup(ours, theirs, fieldParsed.field)
+    }
+  };
+}
+
+// Opponent label ('' falls back to a default); returns { name } or { error }
+function parseOpponentName(name) {
+  if (name === undefined || name === null || String(name).trim() === '') return { name: 'Opponent' };
+  if (typeof name !== 'string') return { error: 'Opponent name must be text' };
+  if (name.trim().length > 100) return { error: 'Opponent name too long (max 100 chars)' };
+  return { name: name.trim() };
+}
+
+function parseMatchupNotes(notes) {
+  if (notes === undefined || notes === null) return { notes: null };
+  if (typeof notes !== 'string') return { error: 'Notes must be text' };
+  if (notes.length > MATCHUP_NOTES_MAX) return { error: `Notes too long (max ${MATCHUP_NOTES_MAX} chars)` };
+  return { notes };
+}
+
+async function findOwnedMatchup(matchupId, user) {
+  const rows = await q('SELECT * FROM matchups WHERE id = ? LIMIT 1', [matchupId]);
+  if (!rows.length) return { status: 404, error: 'Matchup not found' };
+  if (String(rows[0].player_id) !== String(user.id)) return { status: 403, error: 'Not your matchup' };
+  return { matchup: rows[0] };
+}
+
+// Suggested bring-4, leads, speed order and key damage rolls, without saving anything
+app.post('/matchups/plan', authMiddleware, async (req, res) => {
+  const { team_id, opponent, field } = req.body || {};
+  try {
+    const built = await buildMatchupPlan(req.user, team_id, opponent, field);
+    if (built.error) return res.status(built.status).json({ error: built.error, errors: built.errors });
+    res.json(built.plan);
+  } catch (err) {
+    console.error('matchup plan error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Save a matchup (team + opponent paste + notes); the plan is recomputed whenever it is opened
+app.post('/matchups', authMiddleware, async (req, res) => {
+  const { team_id, opponent, field } = req.body || {};
+  const name = parseOpponentName((req.body || {}).opponent_name);
+  if (name.error) return res.status(400).json({ error: name.error });
+  const notes = parseMatchupNotes((req.body || {}).notes);
+  if (notes.error) return res.status(400).json({ error: notes.error });
+
+  try {
+    const built = await buildMatchupPlan(req.user, team_id, opponent, field);
+    if (built.error) return res.status(built.status).json({ error: built.error, errors: built.errors });
+
+    const result = await q(
+      'INSERT INTO matchups (player_id, team_id, opponent_name, opponent_paste, field, notes) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, built.team.id, name.name, opponent, JSON.stringify(built.field), notes.notes]
+    );
+    res.status(201).json({ success: true, id: result.insertId, opponentName: name.name, notes: notes.notes, plan: built.plan });
+  } catch (err) {
+    console.error('matchup save error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// The user's saved matchups, newest first; ?team_id= narrows to one team
+app.get('/matchups', authMiddleware, async (req, res) => {
+  const where = ['m.player_id = ?'];
+  const params = [req.user.id];
+  if (req.query.team_id !== undefined) {
+    where.push('m.team_id = ?');
+    params.push(req.query.team_id);
+  }
+  try {
+    const rows = await q(`
+      SELECT m.id, m.team_id, t.team_name, t.format, m.opponent_name, m.notes, m.created_at, m.updated_at
+      FROM matchups m
+      JOIN teams t ON m.team_id = t.id
+      WHERE ${where.join(' AND ')}
+      ORDER BY m.updated_at DESC, m.id DESC
+    `, params);
+    res.json({ matchups: rows });
+  } catch (err) {
+    console.error('matchup list error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// One saved matchup with a fresh plan (the team may have changed since it was saved)
+app.get('/matchups/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedMatchup(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const m = owned.matchup;
+
+    const built = await buildMatchupPlan(req.user, m.team_id, m.opponent_paste, m.field ? JSON.parse(m.field) : {});
+    res.json({
+      id: m.id,
+      team_id: m.team_id,
+      opponent_name: m.opponent_name,
+      opponent: m.opponent_paste,
+      field: m.field ? JSON.parse(m.field) : null,
+      notes: m.notes,
+      created_at: m.created_at,
+      updated_at: m.updated_at,
+      plan: built.error ? null : built.plan,
+      plan_error: built.error || null
+    });
+  } catch (err) {
+    console.error('matchup load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Update notes, the opponent's name, paste or field
+app.patch('/matchups/:id', authMiddleware, async (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+  if (body.opponent_name !== undefined) {
+    const name = parseOpponentName(body.opponent_name);
+    if (name.error) return res.status(400).json({ error: name.error });
+    updates.opponent_name = name.name;
+  }
+  if (body.notes !== undefined) {
+    const notes = parseMatchupNotes(body.notes);
+    if (notes.error) return res.status(400).json({ error: notes.error });
+    updates.notes = notes.notes;
+  }
+
+  try {
+    const owned = await findOwnedMatchup(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const m = owned.matchup;
+
+    let plan;
+    if (body.opponent !== undefined || body.field !== undefined) {
+      const paste = body.opponent !== undefined ? body.opponent : m.opponent_paste;
+      const field = body.field !== undefined ? body.field : (m.field ? JSON.parse(m.field) : {});
+      const built = await buildMatchupPlan(req.user, m.team_id, paste, field);
+      if (built.error) return res.status(built.status).json({ error: built.error, errors: built.errors });
+      updates.opponent_paste = paste;
+      updates.field = JSON.stringify(built.field);
+      plan = built.plan;
+    }
+    if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nothing to update' });
+
+    const columns = Object.keys(updates);
+    await q(
+      `UPDATE matchups SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...columns.map(c => updates[c]), m.id]
+    );
+    res.json({ success: true, id: m.id, ...(plan ? { plan } : {}) });
+  } catch (err) {
+    console.error('matchup update error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+app.delete('/matchups/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedMatchup(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    await q('DELETE FROM matchups WHERE id = ?', [owned.matchup.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('matchup delete error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== BATTLES ====================
+
+// The team's sets in the order bring lists their slots; returns { sets } or { error }
+function pickBroughtSets(sets, bring, max) {
+  if (!Array.isArray(bring) || bring.length === 0 || bring.length > max) return { error: `bring must list 1 to ${max} team slots` };
+  const picked = [];
+  for (const slot of bring) {
+    const set = sets.find(s => s.slot === Number(slot));
+    if (!set) return { error: `no Pokémon in slot ${slot}` };
+    if (picked.includes(set)) return { error: `slot ${slot} is brought twice` };
+    picked.push(set);
+  }
+  return { sets: picked };
+}
+
+// One side of a new battle: { team_id, bring } where bring optionally picks (and orders) team slots;
+// the first two brought lead. Returns { name, members } or { status, error }.
+async function loadBattleSide(spec, label, user) {
+  if (!spec || typeof spec !== 'object' || spec.team_id === undefined) return { status: 400, error: `${label} must be { team_id, bring? }` };
+  const owned = await findOwnedTeam(spec.team_id, user);
+  if (owned.error) return { status: owned.status, error: `${label}: ${owned.error}` };
+
+  let sets = await loadTeamSets(owned.team.id);
+  if (spec.bring !== undefined && spec.bring !== null) {
+    const picked = pickBroughtSets(sets, spec.bring, 6);
+    if (picked.error) return { status: 400, error: `${label}: ${picked.error}` };
+    sets = picked.sets;
+  }
+  if (!sets.length) return { status: 400, error: `${label}: team is empty` };
+  return { name: owned.team.team_name, teamId: owned.team.id, members: await loadPlannerMembers(sets) };
+}
+
+// Start a battle between two of the user's teams: { team_a, team_b, seed? }
+app.post('/battles', authMiddleware, async (req, res) => {
+  const { team_a, team_b } = req.body || {};
+  let { seed } = req.body || {};
+  if (seed === undefined || seed === null) seed = crypto.randomInt(2147483647);
+  else if (!Number.isInteger(seed) || seed < 0 || seed > 2147483647) return res.status(400).json({ error: 'seed must be a whole number between 0 and 2147483647' });
+
+  try {
+    const a = await loadBattleSide(team_a, 'Team A', req.user);
+    if (a.error) return res.status(a.status).json({ error: a.error });
+    const b = await loadBattleSide(team_b, 'Team B', req.user);
+    if (b.error) return res.status(b.status).json({ error: b.error });
+
+    const state = battleEngine.createBattle({ a, b }, seed);
+    const result = await q(
+      'INSERT INTO battles (player_id, team_a, team_b, seed, turn, winner, state) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [req.user.id, a.teamId, b.teamId, seed, state.turn, state.winner, JSON.stringify(state)]
+    );
+    res.status(201).json({ id: result.insertId, events: state.log[0].events, ...battleEngine.battleView(state) });
+  } catch (err) {
+    console.error('battle create error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Current state of a battle and its full log
+app.get('/battles/:id', authMiddleware, async (req, res) => {
+  try {
+    const rows = await q('SELECT id, player_id, state FROM battles WHERE id = ? LIMIT 1', [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Battle not found' });
+    if (String(rows[0].player_id) !== String(req.user.id)) return res.status(403).json({ error: 'Not your battle' });
+
+    const state = JSON.parse(rows[0].state);
+    res.json({ id: rows[0].id, log: state.log, ...battleEngine.battleView(state) });
+  } catch (err) {
+    console.error('battle load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Play one turn: { actions: { a: [action, action], b: [action, action] } } (see battleEngine.validateActions)
+app.post('/battles/:id/turn', authMiddleware, async (req, res) => {
+  try {
+    const outcome = await withTransaction(async run => {
+      const rows = await run('SELECT id, player_id, state FROM battles WHERE id = ? LIMIT 1 FOR UPDATE', [req.params.id]);
+      if (!rows.length) return { status: 404, error: 'Battle not found' };
+      if (String(rows[0].player_id) !== String(req.user.id)) return { status: 403, error: 'Not your battle' };
+
+      const state = JSON.parse(rows[0].state);
+      const checked = battleEngine.validateActions(state, (req.body || {}).actions);
+      if (checked.error) return { status: 400, error: checked.error };
+
+      const events = battleEngine.runTurn(state, checked.actions);
+      await run(
+        'UPDATE battles SET state = ?, turn = ?, winner = ?, updated_at = NOW() WHERE id = ?',
+        [JSON.stringify(state), state.turn, state.winner, rows[0].id]
+      );
+      return { battle: { id: rows[0].id, events, ...battleEngine.battleView(state) } };
     });
+    if (outcome.error) return res.status(outcome.status).json({ error: outcome.error });
+    res.json(outcome.battle);
+  } catch (err) {
+    console.error('battle turn error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
 });
 
-// Save team to database (auth required)
-app.post('/team/save', authMiddleware, async (req, res) => {
-    const userId = req.user.id;
-    const { teamName, teamData, format } = req.body;
+// ==================== TOURNAMENTS ====================
+
+// Registrations and matches in the shape tournament.js works with
+async function loadTournamentState(tournamentId, query = q) {
+  const players = await query(`
+    SELECT tp.id, tp.user_id, u.name AS player_name, tp.team_id, tp.team_name, tp.dropped, tp.registered_at
+    FROM tournament_players tp
+    JOIN users u ON tp.user_id = u.id
+    WHERE tp.tournament_id = ?
+    ORDER BY tp.id
+  `, [tournamentId]);
+  const matches = await query('SELECT * FROM tournament_matches WHERE tournament_id = ? ORDER BY round, table_no', [tournamentId]);
+  return {
+    players: players.map(p => ({ ...p, dropped: !!p.dropped })),
+    matches: matches.map(m => ({
+      id: m.id,
+      stage: m.stage,
+      round: m.round,
+      table_no: m.table_no,
+      player1: m.player1_id,
+      player2: m.player2_id,
+      player1_wins: m.player1_wins,
+      player2_wins: m.player2_wins,
+      winner: m.winner_id,
+      reported: m.reported_at !== null
+    }))
+  };
+}
 
-    if (!teamData || !Array.isArray(teamData)) {
-        return res.status(400).json({ error: 'Invalid team data' });
+// Insert one round's pairings; a bye is reported straight away as a 2-0 win
+async function insertRound(tournamentId, stage, round, pairs, bye, query) {
+  const rows = pairs.map(([p1, p2], i) => [tournamentId, stage, round, i + 1, p1, p2, 0, 0, null, null]);
+  if (bye) rows.push([tournamentId, stage, round, rows.length + 1, bye, null, 2, 0, bye, new Date()]);
+  await query(`
+    INSERT INTO tournament_matches
+      (tournament_id, stage, round, table_no, player1_id, player2_id, player1_wins, player2_wins, winner_id, reported_at)
+    VALUES ?
+  `, [rows]);
+}
+
+// Move a tournament on: start Swiss, pair the next Swiss round, seed the top cut or play the next bracket round.
+// Returns the updated { status, round } or { httpStatus, error }.
+async function advanceTournament(tournament, query) {
+  const { players, matches } = await loadTournamentState(tournament.id, query);
+  const current = matches.filter(m => m.round === tournament.current_round);
+  if (current.some(m => !m.reported)) return { httpStatus: 400, error: `Round ${tournament.current_round} still has unreported matches` };
+
+  const next = tournament.current_round + 1;
+  let status = tournament.status;
+  if (status === 'registration') {
+    const active = players.filter(p => !p.dropped);
+    if (active.length < 2) return { httpStatus: 400, error: 'At least 2 players are needed to start' };
+    // Round one pairs players in a random order
+    for (let i = active.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [active[i], active[j]] = [active[j], active[i]];
+    }
+    const { pairs, bye } = tournamentLogic.swissPairings(active, []);
+    await insertRound(tournament.id, 'swiss', next, pairs, bye, query);
+    status = 'swiss';
+  } else if (status === 'swiss' && tournament.current_round < tournament.swiss_rounds) {
+    const { pairs, bye } = tournamentLogic.swissPairings(players, matches);
+    await insertRound(tournament.id, 'swiss', next, pairs, bye, query);
+  } else if (status === 'swiss') {
+    const seeded = tournamentLogic.standings(players, matches).filter(r => !r.dropped).map(r => r.player);
+    const size = tournamentLogic.cutSize(tournament.top_cut, seeded.length);
+    if (size < 2) {
+      status = 'complete';
+    } else {
+      await insertRound(tournament.id, 'top_cut', next, tournamentLogic.topCutPairings(seeded.slice(0, size)), null, query);
+      status = 'top_cut';
+    }
+  } else if (status === 'top_cut') {
+    if (current.length === 1) {
+      status = 'complete';
+    } else {
+      await insertRound(tournament.id, 'top_cut', next, tournamentLogic.nextBracketRound(current), null, query);
     }
+  } else {
+    return { httpStatus: 400, error: 'Tournament is already complete' };
+  }
 
-    try {
-        // Check if player exists
-        const playerCheck = await q('SELECT user_id FROM player WHERE user_id = ?', [userId]);
-        if (playerCheck.length === 0) {
-            // Create player record if doesn't exist
-            await q('INSERT INTO player (user_id) VALUES (?)', [userId]);
-        }
+  const round = status === 'complete' ? tournament.current_round : next;
+  await query('UPDATE tournaments SET status = ?, current_round = ? WHERE id = ?', [status, round, tournament.id]);
+  return { status, round };
+}
 
-      // Enforce max 5 teams per user (unless updating existing team name)
-      const desiredName = teamName || 'My Team';
-      const existingTeam = await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? LIMIT 1', [userId, desiredName]);
-      if (!existingTeam.length) {
-        const [{ count }] = await q('SELECT COUNT(*) AS count FROM teams WHERE player_id = ?', [userId]);
-        if (count >= 5) {
-          return res.status(400).json({ error: 'Team limit reached (max 5). Delete a team before saving a new one.' });
-        }
-      }
+// Standings with player and team names; top-cut finish and the champion once decided
+function tournamentSummary(tournament, players, matches) {
+  const byId = new Map(players.map(p => [p.id, p]));
+  const name = id => id === null ? null : (byId.get(id) || {}).player_name || null;
+  const cut = matches.filter(m => m.stage === 'top_cut');
+  const final = tournament.status === 'complete' && cut.length ? cut[cut.length - 1] : null;
+
+  return {
+    standings: tournamentLogic.standings(players, matches).map(r => ({
+      ...r,
+      player_name: name(r.player),
+      team_name: (byId.get(r.player) || {}).team_name || null,
+      opponents: undefined
+    })),
+    rounds: Array.from(new Set(matches.map(m => m.round))).map(round => {
+      const list = matches.filter(m => m.round === round);
+      return {
+        round,
+        stage: list[0].stage,
+        matches: list.map(m => ({ ...m, player1_name: name(m.player1), player2_name: name(m.player2) }))
+      };
+    }),
+    champion: final && final.winner ? { player: final.winner, player_name: name(final.winner) } : null
+  };
+}
+
+async function findTournament(id, query = q) {
+  const rows = await query('SELECT * FROM tournaments WHERE id = ? LIMIT 1', [id]);
+  return rows[0] || null;
+}
 
-        // Create or update team
-        const teamResult = await q(`
-            INSERT INTO teams (player_id, team_name, format, created_at)
-            VALUES (?, ?, ?, NOW())
-            ON DUPLICATE KEY UPDATE team_name = ?, format = ?
-      `, [userId, desiredName, format || 'VGC', desiredName, format || 'VGC']);
+// Every tournament, newest first
+app.get('/tournaments', async (req, res) => {
+  try {
+    const rows = await q(`
+      SELECT t.id, t.name, t.format, t.status, t.swiss_rounds, t.top_cut, t.current_round, t.created_at, COUNT(tp.id) AS player_count
+      FROM tournaments t
+      LEFT JOIN tournament_players tp ON tp.tournament_id = t.id
+      GROUP BY t.id
+      ORDER BY t.created_at DESC, t.id DESC
+    `);
+    rows.forEach(r => { r.player_count = Number(r.player_count); });
+    res.json({ tournaments: rows });
+  } catch (err) {
+    console.error('tournament list error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-      const teamId = teamResult.insertId || (await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? ORDER BY created_at DESC LIMIT 1', [userId, desiredName]))[0].id;
+// Published view: players, pairings and results by round, standings with OMW% / OOMW%
+app.get('/tournaments/:id', async (req, res) => {
+  try {
+    const tournament = await findTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+    const { players, matches } = await loadTournamentState(tournament.id);
+    res.json({
+      ...tournament,
+      players: players.map(p => ({ id: p.id, user_id: p.user_id, player_name: p.player_name, team_name: p.team_name, dropped: p.dropped })),
+      ...tournamentSummary(tournament, players, matches)
+    });
+  } catch (err) {
+    console.error('tournament load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-        // Delete existing team pokemon
-        await q('DELETE FROM team_pokemon WHERE team_id = ?', [teamId]);
+// A registered team sheet; the team is locked at registration, later edits to the saved team don't change it
+app.get('/tournaments/:id/players/:playerId/team', async (req, res) => {
+  try {
+    const rows = await q('SELECT team_name, team_snapshot FROM tournament_players WHERE id = ? AND tournament_id = ? LIMIT 1', [req.params.playerId, req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Player not found' });
+    res.json({ teamName: rows[0].team_name, sets: JSON.parse(rows[0].team_snapshot) });
+  } catch (err) {
+    console.error('tournament team error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-        // Insert each pokemon
-        for (let i = 0; i < teamData.length; i++) {
-            const pokemon = teamData[i];
-            if (!pokemon) continue;
+// Register for an event with one of your saved teams (while registration is open)
+app.post('/tournaments/:id/register', authMiddleware, async (req, res) => {
+  const { team_id } = req.body || {};
+  try {
+    const tournament = await findTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+    if (tournament.status !== 'registration') return res.status(400).json({ error: 'Registration is closed' });
+
+    const owned = await findOwnedTeam(team_id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const sets = await loadTeamSets(owned.team.id);
+    if (!sets.length) return res.status(400).json({ error: 'Team is empty' });
+    if (tournament.format) {
+      const problem = await teamLegalityProblem(setsToTeamData(sets), tournament.format);
+      if (problem) return res.status(problem.status).json(problem.body);
+    }
 
-            // Get item_no from item name
-            let itemNo = null;
-            if (pokemon.item) {
-                const itemResult = await q('SELECT item_no FROM items WHERE name = ? LIMIT 1', [pokemon.item]);
-                if (itemResult.length > 0) itemNo = itemResult[0].item_no;
-            }
+    const existing = await q('SELECT id FROM tournament_players WHERE tournament_id = ? AND user_id = ? LIMIT 1', [tournament.id, req.user.id]);
+    if (existing.length) {
+      // Re-registering swaps the locked team
+      await q('UPDATE tournament_players SET team_id = ?, team_name = ?, team_snapshot = ? WHERE id = ?',
+        [owned.team.id, owned.team.team_name, JSON.stringify(sets), existing[0].id]);
+      return res.json({ success: true, playerId: existing[0].id, teamName: owned.team.team_name });
+    }
+    const result = await q('INSERT INTO tournament_players (tournament_id, user_id, team_id, team_name, team_snapshot) VALUES (?, ?, ?, ?, ?)',
+      [tournament.id, req.user.id, owned.team.id, owned.team.team_name, JSON.stringify(sets)]);
+    res.status(201).json({ success: true, playerId: result.insertId, teamName: owned.team.team_name });
+  } catch (err) {
+    console.error('tournament register error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-            // Ensure ability exists in ability table, insert if missing
-            if (pokemon.ability) {
-                const abilityCheck = await q('SELECT name FROM ability WHERE name = ? LIMIT 1', [pokemon.ability]);
-                if (abilityCheck.length === 0) {
-                    await q('INSERT IGNORE INTO ability (name) VALUES (?)', [pokemon.ability]);
-                }
-            }
+// Withdraw before the event starts
+app.delete('/tournaments/:id/register', authMiddleware, async (req, res) => {
+  try {
+    const tournament = await findTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+    if (tournament.status !== 'registration') return res.status(400).json({ error: 'The event has started; ask an admin to drop you' });
+    const result = await q('DELETE FROM tournament_players WHERE tournament_id = ? AND user_id = ?', [tournament.id, req.user.id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'You are not registered' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('tournament withdraw error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-            // Insert team_pokemon
-            const tpResult = await q(`
-                INSERT INTO team_pokemon (team_id, slot, pokemon_sid, item_no, ability_name, nature, level, gender, shiny)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [teamId, i + 1, pokemon.id, itemNo, pokemon.ability, pokemon.nature, pokemon.level || 50, pokemon.gender || 'N', pokemon.shiny ? 1 : 0]);
-
-            const teamPokemonId = tpResult.insertId;
-
-            // Insert moves
-            if (pokemon.selectedMoves && Array.isArray(pokemon.selectedMoves)) {
-                for (let j = 0; j < pokemon.selectedMoves.length; j++) {
-                    const moveName = pokemon.selectedMoves[j];
-                    if (!moveName) continue;
-
-                    const moveResult = await q('SELECT code FROM moves WHERE name = ? LIMIT 1', [moveName]);
-                    if (moveResult.length > 0) {
-                        await q('INSERT INTO team_pokemon_moves (team_pokemon_id, move_code, slot) VALUES (?, ?, ?)',
-                            [teamPokemonId, moveResult[0].code, j + 1]);
-                    }
-                }
-            }
+// Report a best-of-three: { player1_wins, player2_wins }; either player in the match or an admin can report,
+// and results can be corrected until the next round is paired
+app.post('/tournaments/:id/matches/:matchId/result', authMiddleware, async (req, res) => {
+  const { player1_wins, player2_wins } = req.body || {};
+  try {
+    const tournament = await findTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+    const rows = await q(`
+      SELECT m.*, p1.user_id AS player1_user, p2.user_id AS player2_user
+      FROM tournament_matches m
+      JOIN tournament_players p1 ON m.player1_id = p1.id
+      LEFT JOIN tournament_players p2 ON m.player2_id = p2.id
+      WHERE m.id = ? AND m.tournament_id = ?
+      LIMIT 1
+    `, [req.params.matchId, tournament.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Match not found' });
+    const match = rows[0];
+
+    const isPlayer = [match.player1_user, match.player2_user].some(u => u !== null && String(u) === String(req.user.id));
+    if (!isPlayer && req.user.role !== 'admin') return res.status(403).json({ error: 'Only the players or an admin can report this match' });
+    if (match.player2_id === null) return res.status(400).json({ error: 'Byes are reported automatically' });
+    if (match.round !== tournament.current_round || tournament.status === 'complete') return res.status(400).json({ error: 'This round is closed' });
+
+    const result = tournamentLogic.bestOfThree(Number(player1_wins), Number(player2_wins), match.stage === 'swiss');
+    if (result.error) return res.status(400).json({ error: result.error });
+    const winner = result.winner === 1 ? match.player1_id : result.winner === 2 ? match.player2_id : null;
+
+    await q('UPDATE tournament_matches SET player1_wins = ?, player2_wins = ?, winner_id = ?, reported_at = NOW() WHERE id = ?',
+      [Number(player1_wins), Number(player2_wins), winner, match.id]);
+    res.json({ success: true, matchId: match.id, winner });
+  } catch (err) {
+    console.error('tournament result error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-            // Insert EVs
-            const evs = pokemon.evs || { hp: 0, attack: 0, defence: 0, sp_atk: 0, sp_def: 0, spd: 0 };
-            await q(`
-                INSERT INTO team_pokemon_evs (team_pokemon_id, hp, atk, def, spa, spd, spe)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [teamPokemonId, evs.hp, evs.attack, evs.defence, evs.sp_atk, evs.sp_def, evs.spd]);
-
-            // Insert IVs
-            const ivs = pokemon.ivs || { hp: 31, attack: 31, defence: 31, sp_atk: 31, sp_def: 31, spd: 31 };
-            await q(`
-                INSERT INTO team_pokemon_ivs (team_pokemon_id, hp, atk, def, spa, spd, spe)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `, [teamPokemonId, ivs.hp, ivs.attack, ivs.defence, ivs.sp_atk, ivs.sp_def, ivs.spd]);
-        }
+// Create an event (admin only): { name, format, swiss_rounds, top_cut }
+app.post('/api/admin/tournaments', authMiddleware, requireRole('admin'), async (req, res) => {
+  const { name, format, swiss_rounds, top_cut = 0 } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Tournament name is required' });
+  if (name.trim().length > 100) return res.status(400).json({ error: 'Tournament name too long (max 100 chars)' });
+  if (format !== undefined && format !== null && format !== '' && !teamValidator.FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format "${format}"` });
+  }
+  if (!Number.isInteger(swiss_rounds) || swiss_rounds < 1 || swiss_rounds > 15) return res.status(400).json({ error: 'swiss_rounds must be a whole number from 1 to 15' });
+  if (!Number.isInteger(top_cut) || top_cut < 0 || top_cut > 64) return res.status(400).json({ error: 'top_cut must be a whole number from 0 to 64' });
 
-        res.json({ success: true, teamId });
-    } catch (err) {
-        console.error('team save error:', err);
-        res.status(500).json({ error: 'Database error: ' + err.message });
-    }
+  try {
+    const result = await q('INSERT INTO tournaments (name, format, swiss_rounds, top_cut, created_by) VALUES (?, ?, ?, ?, ?)',
+      [name.trim(), format || null, swiss_rounds, top_cut, req.user.id]);
+    res.status(201).json({ success: true, id: result.insertId });
+  } catch (err) {
+    console.error('tournament create error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
-// Load team from database (auth required)
-app.get('/team/load', authMiddleware, async (req, res) => {
-    const userId = req.user.id;
+// Pair the next round, or start the event / top cut / finish it, depending on where it is (admin only)
+app.post('/api/admin/tournaments/:id/advance', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const outcome = await withTransaction(async run => {
+      const rows = await run('SELECT * FROM tournaments WHERE id = ? LIMIT 1 FOR UPDATE', [req.params.id]);
+      if (!rows.length) return { httpStatus: 404, error: 'Tournament not found' };
+      return advanceTournament(rows[0], run);
+    });
+    if (outcome.error) return res.status(outcome.httpStatus).json({ error: outcome.error });
+    res.json({ success: true, status: outcome.status, round: outcome.round });
+  } catch (err) {
+    console.error('tournament advance error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    try {
-        const teams = await q('SELECT * FROM teams WHERE player_id = ? ORDER BY created_at DESC LIMIT 1', [userId]);
+// Drop (or reinstate) a player: { player_id, dropped } (admin only); dropped players are no longer paired
+app.post('/api/admin/tournaments/:id/drop', authMiddleware, requireRole('admin'), async (req, res) => {
+  const { player_id, dropped = true } = req.body || {};
+  try {
+    const result = await q('UPDATE tournament_players SET dropped = ? WHERE id = ? AND tournament_id = ?', [dropped ? 1 : 0, player_id, req.params.id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'Player not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('tournament drop error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-        if (teams.length === 0) return res.json({ team: null });
+app.delete('/api/admin/tournaments/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    await withTransaction(async run => {
+      await run('DELETE FROM tournament_matches WHERE tournament_id = ?', [req.params.id]);
+      await run('DELETE FROM tournament_players WHERE tournament_id = ?', [req.params.id]);
+      await run('DELETE FROM tournaments WHERE id = ?', [req.params.id]);
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('tournament delete error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-        const teamId = teams[0].id;
-        const teamName = teams[0].team_name;
+// ==================== MATCH LOGS ====================
 
-        // Load all pokemon in team
-        const teamPokemon = await q(`
-            SELECT 
-                tp.*,
-                p.name as pokemon_name,
-                i.name as item_name
-            FROM team_pokemon tp
-            JOIN pokemon p ON tp.pokemon_sid = p.sid
-            LEFT JOIN items i ON tp.item_no = i.item_no
-            WHERE tp.team_id = ?
-            ORDER BY tp.slot
-        `, [teamId]);
-
-        const teamData = [];
-        for (const tp of teamPokemon) {
-            // Get moves
-            const moves = await q(`
-                SELECT m.name
-                FROM team_pokemon_moves tpm
-                JOIN moves m ON tpm.move_code = m.code
-                WHERE tpm.team_pokemon_id = ?
-                ORDER BY tpm.slot
-            `, [tp.id]);
-
-            // Get EVs
-            const evs = await q('SELECT * FROM team_pokemon_evs WHERE team_pokemon_id = ?', [tp.id]);
-            // Get IVs
-            const ivs = await q('SELECT * FROM team_pokemon_ivs WHERE team_pokemon_id = ?', [tp.id]);
-
-            // Get pokemon full details
-            const pokemonDetails = await q('SELECT * FROM pokemon WHERE sid = ?', [tp.pokemon_sid]);
-            const types = await q('SELECT type_name, type_name1 FROM pokemon_types WHERE pokemon_sid = ?', [tp.pokemon_sid]);
-            const abilities = await q('SELECT ability_name FROM pokemon_abilities WHERE pokemon_sid = ?', [tp.pokemon_sid]);
-            const stats = await q('SELECT * FROM bst WHERE pokemon_sid = ?', [tp.pokemon_sid]);
-
-            teamData.push({
-                id: tp.pokemon_sid,
-                name: tp.pokemon_name,
-                types: types.length > 0 ? [types[0].type_name, types[0].type_name1].filter(Boolean) : [],
-                abilities: abilities.map(a => a.ability_name),
-                stats: stats.length > 0 ? stats[0] : {},
-                level: tp.level,
-                ability: tp.ability_name,
-                item: tp.item_name,
-                nature: tp.nature,
-                gender: tp.gender,
-                shiny: tp.shiny === 1,
-                selectedMoves: moves.map(m => m.name),
-                evs: evs.length > 0 ? {
-                    hp: evs[0].hp,
-                    attack: evs[0].atk,
-                    defence: evs[0].def,
-                    sp_atk: evs[0].spa,
-                    sp_def: evs[0].spd,
-                    spd: evs[0].spe
-                } : {},
-                ivs: ivs.length > 0 ? {
-                    hp: ivs[0].hp,
-                    attack: ivs[0].atk,
-                    defence: ivs[0].def,
-                    sp_atk: ivs[0].spa,
-                    sp_def: ivs[0].spd,
-                    spd: ivs[0].spe
-                } : {}
-            });
-        }
+const MATCH_LOG_PAGE_MAX = 200;
 
-        // Fill empty slots
-        while (teamData.length < 6) {
-            teamData.push(null);
-        }
+// Species names checked against the Pokédex; returns canonical names or { error }
+async function resolveSpeciesNames(names, label) {
+  if (names.some(n => typeof n !== 'string' || !n.trim())) return { error: `${label} must be Pokémon names` };
+  const found = await rowsByName('SELECT sid, name FROM pokemon WHERE name IN (?)', names.map(n => n.trim()));
+  const unknown = names.find(n => !found.has(n.trim().toLowerCase()));
+  if (unknown) return { error: `Unknown Pokémon "${unknown}"` };
+  const species = names.map(n => found.get(n.trim().toLowerCase()).name);
+  if (new Set(species).size !== species.length) return { error: `${label} lists a Pokémon twice` };
+  return { species };
+}
 
-        res.json({ team: teamData, teamName });
-    } catch (err) {
-        console.error('team load error:', err);
-        res.status(500).json({ error: 'Database error: ' + err.message });
+// Validate a recorded game against one of the user's teams:
+// { team_id, opponent_species: [up to 6 names], our_bring: [up to 4 slots], their_bring: [up to 4 names], result, notes?, played_at? }
+// The first two brought on each side are the leads. Returns { log } ready to store or { status, error }.
+async function buildMatchLog(user, body) {
+  const { team_id, opponent_species, our_bring, their_bring, result, played_at } = body;
+  if (!matchLog.RESULTS.includes(result)) return { status: 400, error: `result must be one of: ${matchLog.RESULTS.join(', ')}` };
+  const notes = parseMatchupNotes(body.notes);
+  if (notes.error) return { status: 400, error: notes.error };
+  let playedAt = new Date();
+  if (played_at !== undefined && played_at !== null && played_at !== '') {
+    playedAt = new Date(played_at);
+    if (Number.isNaN(playedAt.getTime())) return { status: 400, error: 'played_at must be a date' };
+  }
+
+  if (!Array.isArray(opponent_species) || opponent_species.length === 0 || opponent_species.length > 6) {
+    return { status: 400, error: 'opponent_species must list 1 to 6 Pokémon' };
+  }
+  const sheet = await resolveSpeciesNames(opponent_species, 'opponent_species');
+  if (sheet.error) return { status: 400, error: sheet.error };
+  if (!Array.isArray(their_bring) || their_bring.length === 0 || their_bring.length > 4) {
+    return { status: 400, error: 'their_bring must list 1 to 4 Pokémon' };
+  }
+  const theirs = [];
+  for (const name of their_bring) {
+    const species = sheet.species.find(n => typeof name === 'string' && n.toLowerCase() === name.trim().toLowerCase());
+    if (!species) return { status: 400, error: `their_bring: "${name}" is not on the opponent's team` };
+    if (theirs.includes(species)) return { status: 400, error: `their_bring lists ${species} twice` };
+    theirs.push(species);
+  }
+
+  const owned = await findOwnedTeam(team_id, user);
+  if (owned.error) return owned;
+  const picked = pickBroughtSets(await loadTeamSets(owned.team.id), our_bring, 4);
+  if (picked.error) return { status: 400, error: `our_bring: ${picked.error}` };
+
+  return {
+    log: {
+      team_id: owned.team.id,
+      team_name: owned.team.team_name,
+      result,
+      opponent_species: sheet.species,
+      our_bring: picked.sets.map(set => ({ slot: set.slot, name: set.name })),
+      their_bring: theirs,
+      notes: notes.notes,
+      played_at: playedAt
     }
+  };
+}
+
+// Store a log from buildMatchLog(); replayId links it to the imported replay it came from
+async function insertMatchLog(userId, log, replayId, query = q) {
+  const result = await query(`
+    INSERT INTO match_logs (player_id, team_id, team_name, result, opponent_species, our_bring, their_bring, notes, played_at, replay_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [userId, log.team_id, log.team_name, log.result, JSON.stringify(log.opponent_species),
+    JSON.stringify(log.our_bring), JSON.stringify(log.their_bring), log.notes, log.played_at, replayId]);
+  return result.insertId;
+}
+
+function matchLogRow(row) {
+  return {
+    ...row,
+    opponent_species: JSON.parse(row.opponent_species),
+    our_bring: JSON.parse(row.our_bring),
+    their_bring: JSON.parse(row.their_bring)
+  };
+}
+
+async function findOwnedMatchLog(logId, user) {
+  const rows = await q('SELECT * FROM match_logs WHERE id = ? LIMIT 1', [logId]);
+  if (!rows.length) return { status: 404, error: 'Match log not found' };
+  if (String(rows[0].player_id) !== String(user.id)) return { status: 403, error: 'Not your match log' };
+  return { log: matchLogRow(rows[0]) };
+}
+
+// Record a game played with one of the user's teams
+app.post('/match-logs', authMiddleware, async (req, res) => {
+  try {
+    const built = await buildMatchLog(req.user, req.body || {});
+    if (built.error) return res.status(built.status).json({ error: built.error });
+
+    const id = await insertMatchLog(req.user.id, built.log, null);
+    res.status(201).json({ success: true, id, log: built.log });
+  } catch (err) {
+    console.error('match log save error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
 });
 
-// List all teams for current user
-app.get('/team/list', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
+// The user's games, most recent first; ?team_id= and ?result= narrow it, ?limit= and ?offset= page through
+app.get('/match-logs', authMiddleware, async (req, res) => {
+  const where = ['player_id = ?'];
+  const params = [req.user.id];
+  if (req.query.team_id !== undefined) {
+    where.push('team_id = ?');
+    params.push(req.query.team_id);
+  }
+  if (req.query.result !== undefined) {
+    if (!matchLog.RESULTS.includes(req.query.result)) return res.status(400).json({ error: `result must be one of: ${matchLog.RESULTS.join(', ')}` });
+    where.push('result = ?');
+    params.push(req.query.result);
+  }
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MATCH_LOG_PAGE_MAX) return res.status(400).json({ error: `limit must be 1 to ${MATCH_LOG_PAGE_MAX}` });
+  if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset must be 0 or more' });
 
   try {
-    const teams = await q('SELECT id, team_name, created_at FROM teams WHERE player_id = ? ORDER BY created_at DESC', [userId]);
-    res.json({ teams });
+    const count = await q(`SELECT COUNT(*) AS total FROM match_logs WHERE ${where.join(' AND ')}`, params);
+    const rows = await q(`
+      SELECT * FROM match_logs
+      WHERE ${where.join(' AND ')}
+      ORDER BY played_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    res.json({ total: Number(count[0].total), logs: rows.map(matchLogRow) });
   } catch (err) {
-    console.error('team list error:', err);
+    console.error('match log list error:', err);
     res.status(500).json({ error: 'Database error: ' + err.message });
   }
 });
 
-// Delete a team by name
-app.delete('/team/delete', authMiddleware, async (req, res) => {
-  const userId = req.user.id;
-  const { teamName } = req.body;
+// Win rate per team, per lead pair and against each opposing species; ?team_id= narrows to one team
+app.get('/match-logs/analytics', authMiddleware, async (req, res) => {
+  const where = ['player_id = ?'];
+  const params = [req.user.id];
+  if (req.query.team_id !== undefined) {
+    where.push('team_id = ?');
+    params.push(req.query.team_id);
+  }
+  try {
+    const rows = await q(`
+      SELECT team_id, team_name, result, opponent_species, our_bring, their_bring
+      FROM match_logs
+      WHERE ${where.join(' AND ')}
+    `, params);
+    const logs = rows.map(matchLogRow).map(log => ({ ...log, our_bring: log.our_bring.map(m => m.name) }));
+    res.json(matchLog.summarizeMatches(logs));
+  } catch (err) {
+    console.error('match analytics error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
-  if (!teamName || teamName.trim() === '') {
-    return res.status(400).json({ error: 'Team name is required' });
+app.get('/match-logs/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedMatchLog(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    res.json(owned.log);
+  } catch (err) {
+    console.error('match log load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Correct the result or notes of a recorded game
+app.patch('/match-logs/:id', authMiddleware, async (req, res) => {
+  const body = req.body || {};
+  const updates = {};
+  if (body.result !== undefined) {
+    if (!matchLog.RESULTS.includes(body.result)) return res.status(400).json({ error: `result must be one of: ${matchLog.RESULTS.join(', ')}` });
+    updates.result = body.result;
   }
+  if (body.notes !== undefined) {
+    const notes = parseMatchupNotes(body.notes);
+    if (notes.error) return res.status(400).json({ error: notes.error });
+    updates.notes = notes.notes;
+  }
+  if (!Object.keys(updates).length) return res.status(400).json({ error: 'Nothing to update' });
 
   try {
-    // Find the team
-    const team = await q('SELECT id FROM teams WHERE player_id = ? AND team_name = ? LIMIT 1', [userId, teamName]);
-    if (!team || team.length === 0) {
-      return res.status(404).json({ error: 'Team not found' });
+    const owned = await findOwnedMatchLog(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const columns = Object.keys(updates);
+    await q(`UPDATE match_logs SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...columns.map(c => updates[c]), owned.log.id]);
+    res.json({ success: true, id: owned.log.id });
+  } catch (err) {
+    console.error('match log update error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+app.delete('/match-logs/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedMatchLog(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    await q('DELETE FROM match_logs WHERE id = ?', [owned.log.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('match log delete error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// ==================== REPLAYS ====================
+
+const REPLAY_LOG_MAX = 1000000;
+
+// Showdown name -> database row: exact name first, then the base species for formes the Pokédex lists under one name
+async function mapSpeciesNames(names) {
+  const exact = await rowsByName('SELECT sid, name FROM pokemon WHERE name IN (?)', names);
+  const baseName = name => name.split('-')[0];
+  const base = await rowsByName('SELECT sid, name FROM pokemon WHERE name IN (?)',
+    names.filter(n => !exact.has(n.toLowerCase())).map(baseName));
+  const map = new Map();
+  names.forEach(n => map.set(n, exact.get(n.toLowerCase()) || base.get(baseName(n).toLowerCase()) || null));
+  return map;
+}
+
+// Parse a battle log and map its species and moves to the pokemon and moves tables.
+// Returns { replay } (the parsed log with database names, plus unmatched names) or { error, errors }.
+async function resolveBattleLog(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) return { error: 'Battle log text is required' };
+  if (text.length > REPLAY_LOG_MAX) return { error: 'Battle log is too long' };
+
+  const parsed = showdownLog.parseBattleLog(text);
+  const { p1, p2 } = parsed.players;
+  if (!p1.name || !p2.name || !p1.leads.length || !p2.leads.length) {
+    return { error: 'Not a Showdown battle log (no players or leads found)', errors: parsed.errors };
+  }
+
+  const events = parsed.turns.flatMap(t => t.events);
+  const speciesNames = Array.from(new Set([
+    ...showdownLog.SIDES.flatMap(side => parsed.players[side].team),
+    ...events.flatMap(e => [e.pokemon, e.target]).filter(Boolean)
+  ]));
+  const species = await mapSpeciesNames(speciesNames);
+  const moves = await rowsByName('SELECT code, name FROM moves WHERE name IN (?)', events.filter(e => e.move).map(e => e.move));
+
+  // Unknown names are kept as Showdown wrote them and listed so the user can see what did not match
+  const mon = name => name && species.get(name) ? species.get(name).name : name;
+  const move = name => moves.has(String(name).toLowerCase()) ? moves.get(String(name).toLowerCase()).name : name;
+  const players = {};
+  showdownLog.SIDES.forEach(side => {
+    const p = parsed.players[side];
+    players[side] = { ...p, team: p.team.map(mon), brought: p.brought.map(mon), leads: p.leads.map(mon), fainted: p.fainted.map(mon) };
+  });
+
+  return {
+    replay: {
+      ...parsed,
+      players,
+      turns: parsed.turns.map(t => ({
+        turn: t.turn,
+        events: t.events.map(e => ({
+          ...e,
+          pokemon: mon(e.pokemon),
+          ...(e.target ? { target: mon(e.target) } : {}),
+          ...(e.move ? { move: move(e.move) } : {})
+        }))
+      })),
+      unmatched: {
+        species: speciesNames.filter(n => !n.endsWith('-*') && !species.get(n)),
+        moves: Array.from(new Set(events.filter(e => e.move && !moves.has(e.move.toLowerCase())).map(e => e.move)))
+      }
     }
+  };
+}
 
-    const teamId = team[0].id;
+// Which side played the team: the one whose brought Pokémon are most often on it
+function replaySideFor(replay, sets) {
+  const names = new Set(sets.map(s => s.name.toLowerCase()));
+  const overlap = side => replay.players[side].brought.filter(n => names.has(n.toLowerCase())).length;
+  const [p1, p2] = showdownLog.SIDES.map(overlap);
+  if (p1 === p2) return null;
+  return p1 > p2 ? 'p1' : 'p2';
+}
+
+// Match log fields for buildMatchLog() from the team's point of view; returns { body } or { status, error }
+async function replayMatchLogBody(user, replay, teamId, side, notes) {
+  const owned = await findOwnedTeam(teamId, user);
+  if (owned.error) return owned;
+  const sets = await loadTeamSets(owned.team.id);
+  if (side === undefined || side === null || side === '') {
+    side = replaySideFor(replay, sets);
+    if (!side) return { status: 400, error: 'Could not tell which side used this team; pass side as "p1" or "p2"' };
+  } else if (!showdownLog.SIDES.includes(side)) {
+    return { status: 400, error: 'side must be "p1" or "p2"' };
+  }
+  const foe = side === 'p1' ? 'p2' : 'p1';
+  if (!replay.tie && !replay.winner) return { status: 400, error: 'The battle log has no result' };
+
+  const slots = [];
+  for (const name of replay.players[side].brought.slice(0, 4)) {
+    const set = sets.find(s => s.name.toLowerCase() === name.toLowerCase() && !slots.includes(s.slot));
+    if (!set) return { status: 400, error: `${name} is not on ${owned.team.team_name}` };
+    slots.push(set.slot);
+  }
+  return {
+    body: {
+      team_id: owned.team.id,
+      opponent_species: replay.players[foe].team.slice(0, 6),
+      our_bring: slots,
+      their_bring: replay.players[foe].brought.slice(0, 4),
+      result: replay.tie ? 'tie' : replay.winner === side ? 'win' : 'loss',
+      notes,
+      played_at: replay.played_at
+    }
+  };
+}
+
+// Parse a battle log without saving it
+app.post('/replays/parse', authMiddleware, async (req, res) => {
+  try {
+    const resolved = await resolveBattleLog((req.body || {}).log);
+    if (resolved.error) return res.status(400).json({ error: resolved.error, errors: resolved.errors });
+    res.json(resolved.replay);
+  } catch (err) {
+    console.error('replay parse error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// Import a battle log: { log, team_id?, side?, notes? }. With team_id the game is also recorded as a match log
+// for that team; side ("p1" / "p2") is worked out from the team when left out.
+app.post('/replays', authMiddleware, async (req, res) => {
+  const { log, team_id, side, notes } = req.body || {};
+  try {
+    const resolved = await resolveBattleLog(log);
+    if (resolved.error) return res.status(400).json({ error: resolved.error, errors: resolved.errors });
+    const replay = resolved.replay;
+
+    let matchLogEntry = null;
+    if (team_id !== undefined && team_id !== null && team_id !== '') {
+      const body = await replayMatchLogBody(req.user, replay, team_id, side, notes);
+      if (body.error) return res.status(body.status).json({ error: body.error });
+      const built = await buildMatchLog(req.user, body.body);
+      if (built.error) return res.status(built.status).json({ error: built.error });
+      matchLogEntry = built.log;
+    }
+
+    const winner = replay.tie ? 'tie' : replay.winner;
+    const saved = await withTransaction(async run => {
+      const result = await run(`
+        INSERT INTO replays (player_id, format, p1_name, p2_name, winner, played_at, log, parsed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [req.user.id, replay.format, replay.players.p1.name, replay.players.p2.name, winner, replay.played_at, log, JSON.stringify(replay)]);
+      const matchLogId = matchLogEntry ? await insertMatchLog(req.user.id, matchLogEntry, result.insertId, run) : null;
+      if (matchLogId) await run('UPDATE replays SET match_log_id = ? WHERE id = ?', [matchLogId, result.insertId]);
+      return { id: result.insertId, matchLogId };
+    });
+    res.status(201).json({ success: true, id: saved.id, match_log_id: saved.matchLogId, match_log: matchLogEntry, replay });
+  } catch (err) {
+    console.error('replay import error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+// The user's imported replays, newest first
+app.get('/replays', authMiddleware, async (req, res) => {
+  try {
+    const rows = await q(`
+      SELECT id, format, p1_name, p2_name, winner, played_at, match_log_id, created_at
+      FROM replays
+      WHERE player_id = ?
+      ORDER BY created_at DESC, id DESC
+    `, [req.user.id]);
+    res.json({ replays: rows });
+  } catch (err) {
+    console.error('replay list error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
+
+async function findOwnedReplay(replayId, user) {
+  const rows = await q('SELECT * FROM replays WHERE id = ? LIMIT 1', [replayId]);
+  if (!rows.length) return { status: 404, error: 'Replay not found' };
+  if (String(rows[0].player_id) !== String(user.id)) return { status: 403, error: 'Not your replay' };
+  return { replay: rows[0] };
+}
 
-    // Delete associated data (cascade deletes)
-    await q('DELETE FROM team_pokemon_moves WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
-    await q('DELETE FROM team_pokemon_evs WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
-    await q('DELETE FROM team_pokemon_ivs WHERE team_pokemon_id IN (SELECT id FROM team_pokemon WHERE team_id = ?)', [teamId]);
-    await q('DELETE FROM team_pokemon WHERE team_id = ?', [teamId]);
-    await q('DELETE FROM teams WHERE id = ?', [teamId]);
+app.get('/replays/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedReplay(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    const { log, parsed, ...row } = owned.replay;
+    res.json({ ...row, replay: JSON.parse(parsed) });
+  } catch (err) {
+    console.error('replay load error:', err);
+    res.status(500).json({ error: 'Database error: ' + err.message });
+  }
+});
 
+// Deleting a replay keeps the match log recorded from it
+app.delete('/replays/:id', authMiddleware, async (req, res) => {
+  try {
+    const owned = await findOwnedReplay(req.params.id, req.user);
+    if (owned.error) return res.status(owned.status).json({ error: owned.error });
+    await withTransaction(async run => {
+      await run('UPDATE match_logs SET replay_id = NULL WHERE replay_id = ?', [owned.replay.id]);
+      await run('DELETE FROM replays WHERE id = ?', [owned.replay.id]);
+    });
     res.json({ success: true });
   } catch (err) {
-    console.error('team delete error:', err);
+    console.error('replay delete error:', err);
     res.status(500).json({ error: 'Database error: ' + err.message });
   }
 });
@@ -1111,10 +3755,37 @@ app.delete('/api/favorite', authMiddleware, async (req, res) => {
 // ========================
 
 // List users (admin only)
+const ADMIN_USER_SORTS = {
+  id: { column: 'u.id', order: 'ASC' },
+  name: { column: 'u.name', order: 'ASC' },
+  email: { column: 'u.email', order: 'ASC' },
+  role: { column: 'u.role', order: 'ASC' },
+  teams: { column: 'team_count', order: 'DESC' }
+};
+const ADMIN_USER_PAGE = { default: 50, max: 200 };
+
 app.get('/api/admin/users', authMiddleware, requireRole('admin'), async (req, res) => {
+  const paging = parsePaging(req.query, ADMIN_USER_PAGE.default, ADMIN_USER_PAGE.max);
+  if (paging.error) return res.status(400).json({ error: paging.error });
+  const sortBy = parseSort(req.query, ADMIN_USER_SORTS, 'id');
+  if (sortBy.error) return res.status(400).json({ error: sortBy.error });
+
   try {
-    const users = await q('SELECT id, name, email, role FROM users ORDER BY id ASC LIMIT 500');
-    res.json(users);
+    const [{ total }] = await q('SELECT COUNT(*) AS total FROM users');
+    const users = await q(`
+      SELECT u.id, u.name, u.email, u.role, u.team_quota, COUNT(t.id) AS team_count
+      FROM users u
+      LEFT JOIN teams t ON t.player_id = u.id
+      GROUP BY u.id
+      ORDER BY ${sortBy.column} ${sortBy.direction}, u.id ASC
+      LIMIT ? OFFSET ?
+    `, [paging.limit, paging.offset]);
+    users.forEach(u => {
+      const fallback = u.role in TEAM_QUOTAS ? TEAM_QUOTAS[u.role] : TEAM_QUOTAS.player;
+      u.team_count = Number(u.team_count);
+      u.team_limit = u.team_quota !== null ? u.team_quota : fallback;
+    });
+    res.json(pagedBody('users', users, Number(total), paging));
   } catch (err) {
     console.error('admin users error:', err);
     res.status(500).json({ error: 'Server error' });
@@ -1143,6 +3814,22 @@ app.post('/api/admin/set-role', authMiddleware, requireRole('admin'), async (req
   }
 });
 
+// Set a user's team quota (admin only); quota null goes back to the role default
+app.post('/api/admin/team-quota', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { user_id, quota } = req.body || {};
+    if (!user_id) return res.status(400).json({ error: 'Invalid input' });
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0 || quota > 10000)) return res.status(400).json({ error: 'quota must be a whole number between 0 and 10000, or null for the role default' });
+
+    const result = await q('UPDATE users SET team_quota = ? WHERE id = ?', [quota, user_id]);
+    if (!result.affectedRows) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('admin team-quota error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Admin: Fix Elite Four end_date to today's date for a region
 app.post('/api/admin/fix-elite-end-date', authMiddleware, requireRole('admin'), async (req, res) => {
   try {
@@ -1167,7 +3854,25 @@ app.post('/api/admin/fix-elite-end-date', authMiddleware, requireRole('admin'),
 // Start server after ensuring schema is ready
 (async () => {
   await ensureFavoriteColumn();
+  await ensureNatureColumns();
+  await ensureTeamVersionsTable();
+  await ensureTeamShareColumn();
+  await ensureTeamFolderSchema();
+  await ensureTeamQuotaColumn();
+  await ensureTeamForkColumn();
+  await ensureUsageStatsTable();
+  await ensureMatchupsTable();
+  await ensureBattlesTable();
+  await ensureTournamentTables();
+  await ensureMatchLogsTable();
+  await ensureReplaysTable();
   app.listen(3000, () => {
     console.log('Server running on https://localhost:3000');
   });
+
+  // Usage statistics job: once at startup, then on a timer
+  refreshUsageStats().catch(err => console.error('usage stats job error:', err));
+  setInterval(() => {
+    refreshUsageStats().catch(err => console.error('usage stats job error:', err));
+  }, USAGE_REFRESH_MS).unref();
 })();
@@ -0,0 +1,151 @@
+// Pokémon Showdown team text ("paste") format.
+// Sets use the app's stat keys: hp, attack, defence, sp_atk, sp_def, spd.
+
+const STAT_LABELS = { hp: 'HP', attack: 'Atk', defence: 'Def', sp_atk: 'SpA', sp_def: 'SpD', spd: 'Spe' };
+const LABEL_STATS = {};
+Object.entries(STAT_LABELS).forEach(([key, label]) => { LABEL_STATS[label.toLowerCase()] = key; });
+
+// Lines Showdown writes that this app has no column for
+const IGNORED_FIELDS = ['tera type', 'happiness', 'dynamax level', 'gigantamax', 'hidden power', 'pokeball'];
+
+const MAX_MOVES = 4;
+
+function emptySpread(value) {
+  const out = {};
+  Object.keys(STAT_LABELS).forEach(k => { out[k] = value; });
+  return out;
+}
+
+// "252 HP / 4 Atk / 252 Spe" on top of a default spread
+function parseSpread(text, fallback, lineNo, errors) {
+  const spread = emptySpread(fallback);
+  text.split('/').forEach(part => {
+    const m = part.trim().match(/^(\d+)\s+([A-Za-z]+)$/);
+    const stat = m && LABEL_STATS[m[2].toLowerCase()];
+    if (!stat) return errors.push({ line: lineNo, message: `Could not read "${part.trim()}" (expected e.g. "252 Atk")` });
+    spread[stat] = Number(m[1]);
+  });
+  return spread;
+}
+
+// "Nickname (Species) (M) @ Item"; like Showdown, a set without a Level line is level 100
+function parseHeader(text, lineNo) {
+  const set = {
+    species: null, nickname: null, gender: null, item: null, ability: null, level: 100, shiny: false,
+    nature: null, evs: emptySpread(0), ivs: emptySpread(31), moves: [],
+    lines: { species: lineNo, item: lineNo, moves: [] }
+  };
+  let rest = text;
+  const at = rest.lastIndexOf(' @ ');
+  if (at !== -1) {
+    set.item = rest.slice(at + 3).trim() || null;
+    rest = rest.slice(0, at).trim();
+  }
+  const gender = rest.match(/\s*\((M|F)\)$/);
+  if (gender) {
+    set.gender = gender[1];
+    rest = rest.slice(0, gender.index).trim();
+  }
+  const named = rest.match(/^(.*\S)\s+\(([^()]+)\)$/);
+  if (named) {
+    set.nickname = named[1];
+    set.species = named[2].trim();
+  } else {
+    set.species = rest;
+  }
+  return set;
+}
+
+// Split a paste into sets. Returns { sets, errors: [{ line, message }] }; names are not resolved here.
+function parsePaste(text) {
+  const sets = [];
+  const errors = [];
+  let current = null;
+
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    const line = raw.trim();
+    if (!line) {
+      if (current) sets.push(current);
+      current = null;
+      return;
+    }
+    if (line.startsWith('===')) return; // "=== [format] Team name ===" headers from Showdown backups
+    if (!current) {
+      current = parseHeader(line, lineNo);
+      return;
+    }
+
+    if (line.startsWith('-')) {
+      const move = line.replace(/^-\s*/, '').replace(/\s*\/.*$/, '').trim();
+      if (current.moves.length >= MAX_MOVES) return errors.push({ line: lineNo, message: `${current.species} already has ${MAX_MOVES} moves` });
+      current.moves.push(move);
+      current.lines.moves.push(lineNo);
+      return;
+    }
+    const nature = line.match(/^([A-Za-z]+)\s+Nature$/i);
+    if (nature) {
+      current.nature = nature[1];
+      current.lines.nature = lineNo;
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? '' : line.slice(0, colon).trim().toLowerCase();
+    const value = colon === -1 ? '' : line.slice(colon + 1).trim();
+    if (field === 'ability') {
+      current.ability = value;
+      current.lines.ability = lineNo;
+    } else if (field === 'level') {
+      const level = Number(value);
+      if (!Number.isInteger(level) || level < 1 || level > 100) errors.push({ line: lineNo, message: 'Level must be a whole number between 1 and 100' });
+      else current.level = level;
+    } else if (field === 'shiny') {
+      current.shiny = value.toLowerCase() === 'yes';
+    } else if (field === 'evs') {
+      current.evs = parseSpread(value, 0, lineNo, errors);
+      current.lines.evs = lineNo;
+    } else if (field === 'ivs') {
+      current.ivs = parseSpread(value, 31, lineNo, errors);
+      current.lines.ivs = lineNo;
+    } else if (!IGNORED_FIELDS.includes(field)) {
+      errors.push({ line: lineNo, message: `Unrecognised line "${line}"` });
+    }
+  });
+  if (current) sets.push(current);
+  return { sets, errors };
+}
+
+function formatSpread(spread, skip) {
+  return Object.keys(STAT_LABELS)
+    .filter(k => spread && spread[k] !== undefined && spread[k] !== null && Number(spread[k]) !== skip)
+    .map(k => `${spread[k]} ${STAT_LABELS[k]}`)
+    .join(' / ');
+}
+
+// One set ({ name, gender, item, ability, level, shiny, nature, evs, ivs, moves }) as Showdown text
+function formatSet(set) {
+  const gender = set.gender === 'M' || set.gender === 'F' ? ` (${set.gender})` : '';
+  const lines = [`${set.name}${gender}${set.item ? ` @ ${set.item}` : ''}`];
+  if (set.ability) lines.push(`Ability: ${set.ability}`);
+  if (set.level && Number(set.level) !== 100) lines.push(`Level: ${set.level}`);
+  if (set.shiny) lines.push('Shiny: Yes');
+  const evs = formatSpread(set.evs, 0);
+  if (evs) lines.push(`EVs: ${evs}`);
+  if (set.nature) lines.push(`${set.nature} Nature`);
+  const ivs = formatSpread(set.ivs, 31);
+  if (ivs) lines.push(`IVs: ${ivs}`);
+  (set.moves || []).forEach(m => lines.push(`- ${m}`));
+  return lines.join('\n');
+}
+
+function formatTeam(sets) {
+  return sets.map(formatSet).join('\n\n') + '\n';
+}
+
+module.exports = {
+  STAT_LABELS,
+  parsePaste,
+  formatSet,
+  formatTeam
+};
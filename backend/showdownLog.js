@@ -0,0 +1,206 @@
+// Pokémon Showdown battle logs (the "|move|p1a: ...|..." protocol saved with replays).
+// Species and moves come out exactly as Showdown writes them; the server maps them to the database.
+
+const SIDES = ['p1', 'p2'];
+
+// Lines that carry nothing the parser keeps
+const IGNORED = new Set(['', 'c', 'chat', 'j', 'J', 'l', 'L', 'n', 'N', 'raw', 'html', 'uhtml', 'inactive', 'inactiveoff',
+  'rule', 'clearpoke', 'upkeep', 'done', 'seed', 'title', 'join', 'leave', 'debug', 'request', '-hint', '-message', 'message']);
+
+// "Urshifu-Rapid-Strike, L50, F, shiny" -> "Urshifu-Rapid-Strike"
+const speciesOf = details => String(details || '').split(',')[0].trim();
+
+// "p1a: Nickname" -> { side: 'p1', position: 0, nickname }; a bare "p1: Nickname" has no position
+function parseIdent(text) {
+  const m = String(text || '').match(/^(p[12])([a-c])?:\s*(.*)$/);
+  if (!m) return null;
+  return { side: m[1], position: m[2] ? m[2].charCodeAt(0) - 97 : null, nickname: m[3].trim() };
+}
+
+// "88/100", "150/202 par" or "0 fnt" -> { percent, status }
+function parseHp(text) {
+  const [value, status] = String(text || '').trim().split(/\s+/);
+  if (value === '0') return { percent: 0, status: status || 'fnt' };
+  const m = String(value).match(/^(\d+)\/(\d+)$/);
+  if (!m || Number(m[2]) === 0) return null;
+  return { percent: Math.round(Number(m[1]) * 100 / Number(m[2])), status: status || null };
+}
+
+// "[from] item: Life Orb" style tags at the end of a line -> { from: 'item: Life Orb', miss: true, ... }
+function parseTags(parts) {
+  const tags = {};
+  parts.forEach(part => {
+    const m = String(part).match(/^\[(\w+)\]\s*(.*)$/);
+    if (m) tags[m[1]] = m[2] || true;
+  });
+  return tags;
+}
+
+// Returns { format, gametype, gen, rated, played_at, players: { p1, p2 }, turns, winner, tie, errors }.
+// players.pN: { name, rating, team (team preview species), brought (species in the order they came in), leads, fainted }.
+// turns[0] holds the lead switches; every event names the side, the species and, for hits, the HP left in percent.
+function parseBattleLog(text) {
+  const out = { format: null, gametype: null, gen: null, rated: false, played_at: null, players: {}, turns: [], winner: null, tie: false, errors: [] };
+  SIDES.forEach(side => { out.players[side] = { name: null, rating: null, team: [], brought: [], leads: [], fainted: [] }; });
+
+  // Nicknames map to species per side; "Urshifu-*" style preview entries are filled in when the forme is seen
+  const nicknames = { p1: new Map(), p2: new Map() };
+  let started = false;
+  let turn = { turn: 0, events: [] };
+  let lastMove = null;
+
+  const speciesFor = ident => {
+    if (!ident) return null;
+    return nicknames[ident.side].get(ident.nickname) || ident.nickname;
+  };
+  const seen = (side, species) => {
+    const player = out.players[side];
+    if (!player.brought.includes(species)) player.brought.push(species);
+    const wildcard = player.team.findIndex(name => name.endsWith('-*') && species.startsWith(name.slice(0, -1)));
+    if (wildcard !== -1 && !player.team.includes(species)) player.team[wildcard] = species;
+    else if (!player.team.includes(species)) player.team.push(species);
+  };
+
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line.startsWith('|')) return;
+    const parts = line.slice(1).split('|');
+    const type = parts[0];
+    if (IGNORED.has(type)) return;
+
+    switch (type) {
+      case 't:':
+        if (!out.played_at && /^\d+$/.test(parts[1] || '')) out.played_at = new Date(Number(parts[1]) * 1000);
+        break;
+      case 'player': {
+        const side = parts[1];
+        if (!out.players[side] || !parts[2]) break;
+        out.players[side].name = parts[2];
+        if (/^\d+$/.test(parts[4] || '')) out.players[side].rating = Number(parts[4]);
+        break;
+      }
+      case 'gametype':
+        out.gametype = parts[1] || null;
+        break;
+      case 'gen':
+        out.gen = Number(parts[1]) || null;
+        break;
+      case 'tier':
+        out.format = parts[1] || null;
+        break;
+      case 'rated':
+        out.rated = true;
+        break;
+      case 'poke': {
+        const side = parts[1];
+        const species = speciesOf(parts[2]);
+        if (out.players[side] && species && !out.players[side].team.includes(species)) out.players[side].team.push(species);
+        break;
+      }
+      case 'start':
+        started = true;
+        break;
+      case 'turn': {
+        out.turns.push(turn);
+        turn = { turn: Number(parts[1]) || out.turns.length, events: [] };
+        lastMove = null;
+        break;
+      }
+      case 'switch':
+      case 'drag':
+      case 'replace': {
+        const ident = parseIdent(parts[1]);
+        if (!ident) {
+          out.errors.push({ line: i + 1, message: `Could not read "${parts[1]}"` });
+          break;
+        }
+        const species = speciesOf(parts[2]);
+        nicknames[ident.side].set(ident.nickname, species);
+        seen(ident.side, species);
+        if (started && turn.turn === 0 && type === 'switch') out.players[ident.side].leads.push(species);
+        const hp = parseHp(parts[3]);
+        turn.events.push({ type, side: ident.side, position: ident.position, pokemon: species, hp: hp ? hp.percent : null });
+        break;
+      }
+      case 'detailschange': {
+        const ident = parseIdent(parts[1]);
+        if (!ident) break;
+        const species = speciesOf(parts[2]);
+        nicknames[ident.side].set(ident.nickname, species);
+        turn.events.push({ type: 'forme', side: ident.side, pokemon: species });
+        break;
+      }
+      case 'move': {
+        const ident = parseIdent(parts[1]);
+        if (!ident) break;
+        const target = parseIdent(parts[3]);
+        const tags = parseTags(parts.slice(4));
+        lastMove = parts[2];
+        turn.events.push({
+          type: 'move',
+          side: ident.side,
+          pokemon: speciesFor(ident),
+          move: parts[2],
+          target_side: target ? target.side : null,
+          target: target ? speciesFor(target) : null,
+          ...(tags.miss ? { miss: true } : {}),
+          ...(tags.still ? { charging: true } : {}),
+          ...(tags.from ? { from: tags.from } : {})
+        });
+        break;
+      }
+      case '-damage':
+      case '-heal': {
+        const ident = parseIdent(parts[1]);
+        const hp = parseHp(parts[2]);
+        if (!ident || !hp) break;
+        const tags = parseTags(parts.slice(3));
+        turn.events.push({
+          type: type.slice(1),
+          side: ident.side,
+          pokemon: speciesFor(ident),
+          hp: hp.percent,
+          // Without a [from] tag the damage came from the move just used
+          from: tags.from || (type === '-damage' ? lastMove : null)
+        });
+        break;
+      }
+      case 'faint': {
+        const ident = parseIdent(parts[1]);
+        if (!ident) break;
+        const species = speciesFor(ident);
+        out.players[ident.side].fainted.push(species);
+        turn.events.push({ type: 'faint', side: ident.side, pokemon: species });
+        break;
+      }
+      case '-terastallize': {
+        const ident = parseIdent(parts[1]);
+        if (ident) turn.events.push({ type: 'terastallize', side: ident.side, pokemon: speciesFor(ident), tera_type: parts[2] || null });
+        break;
+      }
+      case 'win': {
+        const side = SIDES.find(s => out.players[s].name === parts[1]);
+        out.winner = side || null;
+        if (!side) out.errors.push({ line: i + 1, message: `Winner "${parts[1]}" is not one of the players` });
+        break;
+      }
+      case 'tie':
+        out.tie = true;
+        break;
+      default:
+        break;
+    }
+  });
+  if (turn.events.length || !out.turns.length) out.turns.push(turn);
+
+  SIDES.forEach(side => {
+    if (!out.players[side].name) out.errors.push({ line: null, message: `No |player|${side}| line found` });
+  });
+  if (!started) out.errors.push({ line: null, message: 'No |start line found; is this a Showdown battle log?' });
+  return out;
+}
+
+module.exports = {
+  SIDES,
+  parseBattleLog
+};
@@ -0,0 +1,115 @@
+// Team-wide type and speed analysis for GET /teams/:id/analysis.
+// Members are loaded by the server:
+//   { slot, name, types, ability, item, level, nature (nature row or null), evs, ivs, base_stats,
+//     moves: [{ name, type, category, power }] }
+
+const typeChart = require('./typeChart');
+const calcEffects = require('./calcEffects');
+const dmgcalc = require('./dmgcalc');
+
+const TAILWIND = 2;
+const CHOICE_SCARF = 1.5;
+
+// Absorbing abilities (Levitate, Flash Fire, ...) make the holder immune to a type
+function abilityImmune(ability, type) {
+  const effect = calcEffects.ABILITIES[ability];
+  if (!effect || !effect.onDefend) return false;
+  const ctx = { move: { name: '', type, category: 'Physical', power: 80 }, field: {}, typeMultiplier: 1 };
+  return effect.onDefend(ctx).some(m => m.stage === 'type' && m.value === 0);
+}
+
+function defensiveMultiplier(member, type) {
+  if (abilityImmune(member.ability, type)) return 0;
+  return typeChart.effectiveness(type, member.types);
+}
+
+// One row per attacking type: each member's multiplier plus weak / resist / immune counts
+function defensiveTable(members) {
+  return typeChart.TYPES.map(type => {
+    const multipliers = members.map(m => defensiveMultiplier(m, type));
+    return {
+      type,
+      multipliers,
+      weak: multipliers.filter(x => x > 1).length,
+      resist: multipliers.filter(x => x > 0 && x < 1).length,
+      immune: multipliers.filter(x => x === 0).length
+    };
+  });
+}
+
+// Best multiplier the team's damaging moves get against each single defending type
+function offensiveTable(members) {
+  const attacks = [];
+  members.forEach(m => {
+    m.moves.forEach(mv => {
+      if (mv.power && ['Physical', 'Special'].includes(mv.category)) attacks.push({ slot: m.slot, name: m.name, move: mv.name, type: mv.type });
+    });
+  });
+
+  return typeChart.TYPES.map(type => {
+    let best = 0;
+    const superEffective = [];
+    attacks.forEach(a => {
+      const mult = typeChart.effectiveness(a.type, [type]);
+      if (mult > best) best = mult;
+      if (mult > 1) superEffective.push({ slot: a.slot, name: a.name, move: a.move });
+    });
+    return { type, best, super_effective: superEffective };
+  });
+}
+
+// Speed under a neutral nature, a +Spe nature and the set's own nature, with Tailwind and Choice Scarf applied
+function speedTiers(members) {
+  const rows = members.map(m => {
+    const base = Number(m.base_stats.spd) || 0;
+    const speedAt = percent => dmgcalc.calcStat('spd', base, m.ivs.spd, m.evs.spd, m.level, percent);
+    const speed = speedAt(dmgcalc.naturePercent(m.nature, 'spd'));
+    const effective = m.item === 'Choice Scarf' ? Math.floor(speed * CHOICE_SCARF) : speed;
+    return {
+      slot: m.slot,
+      name: m.name,
+      base,
+      neutral: speedAt(100),
+      plus: speedAt(110),
+      speed,
+      scarf: m.item === 'Choice Scarf',
+      effective,
+      tailwind: effective * TAILWIND
+    };
+  });
+
+  const fastestFirst = rows.slice().sort((a, b) => b.effective - a.effective);
+  return {
+    members: rows,
+    order: fastestFirst.map(r => r.slot),
+    trick_room_order: fastestFirst.slice().reverse().map(r => r.slot)
+  };
+}
+
+function analyzeTeam(members) {
+  const defensive = defensiveTable(members);
+  const offensive = offensiveTable(members);
+
+  // Types that hit someone super-effectively when nobody on the team resists or is immune
+  const unanswered = defensive
+    .filter(row => row.weak > 0 && row.resist + row.immune === 0)
+    .map(row => ({
+      type: row.type,
+      weak: row.weak,
+      hit_back: offensive.find(o => o.type === row.type).best > 1
+    }));
+
+  return {
+    members: members.map(m => ({ slot: m.slot, name: m.name, types: m.types, ability: m.ability })),
+    defensive,
+    offensive,
+    coverage: offensive.filter(o => o.best > 1).map(o => o.type),
+    not_covered: offensive.filter(o => o.best <= 1).map(o => o.type),
+    unanswered,
+    speed: speedTiers(members)
+  };
+}
+
+module.exports = {
+  analyzeTeam
+};
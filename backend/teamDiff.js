@@ -0,0 +1,56 @@
+// Per-slot differences between two team snapshots.
+// Snapshots are lists of sets: { slot, name, level, nature, ability, item, evs, ivs, moves }.
+
+const { STAT_KEYS } = require('./dmgcalc');
+
+const FIELDS = ['name', 'level', 'nature', 'ability', 'item'];
+
+function spreadChanges(from, to) {
+  const out = {};
+  STAT_KEYS.forEach(k => {
+    const a = from ? from[k] : undefined;
+    const b = to ? to[k] : undefined;
+    if (a !== b) out[k] = { from: a === undefined ? null : a, to: b === undefined ? null : b };
+  });
+  return out;
+}
+
+// Changes for one slot, or null if it is unchanged
+function diffSlot(slot, from, to) {
+  if (!from && !to) return null;
+  if (!from) return { slot, change: 'added', to: to.name };
+  if (!to) return { slot, change: 'removed', from: from.name };
+
+  const changes = {};
+  FIELDS.forEach(f => {
+    const a = from[f] === undefined ? null : from[f];
+    const b = to[f] === undefined ? null : to[f];
+    if (a !== b) changes[f] = { from: a, to: b };
+  });
+
+  const fromMoves = from.moves || [];
+  const toMoves = to.moves || [];
+  const added = toMoves.filter(m => !fromMoves.includes(m));
+  const removed = fromMoves.filter(m => !toMoves.includes(m));
+  if (added.length || removed.length) changes.moves = { added, removed };
+
+  const evs = spreadChanges(from.evs, to.evs);
+  if (Object.keys(evs).length) changes.evs = evs;
+  const ivs = spreadChanges(from.ivs, to.ivs);
+  if (Object.keys(ivs).length) changes.ivs = ivs;
+
+  if (Object.keys(changes).length === 0) return null;
+  return { slot, change: changes.name ? 'replaced' : 'modified', from: from.name, to: to.name, changes };
+}
+
+// Changed slots only, ordered by slot
+function diffTeams(fromSets, toSets) {
+  const slots = Array.from(new Set([...fromSets, ...toSets].map(s => s.slot))).sort((a, b) => a - b);
+  return slots
+    .map(slot => diffSlot(slot, fromSets.find(s => s.slot === slot), toSets.find(s => s.slot === slot)))
+    .filter(Boolean);
+}
+
+module.exports = {
+  diffTeams
+};
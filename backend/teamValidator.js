@@ -0,0 +1,148 @@
+// Team legality rules. Formats are declarative; add a regulation by adding an entry to FORMATS.
+// A format may define:
+//   levelCap        - highest level allowed
+//   speciesClause   - no two Pokémon of the same species
+//   itemClause      - no two Pokémon holding the same item
+//   banned          - species that may not be used (a base name also bans its forms, e.g. "Calyrex" bans "Calyrex-Shadow")
+//   restricted      - species limited to maxRestricted per team
+//   bannedItems / bannedMoves / bannedAbilities
+// Every format also gets the basic checks: known species/items/moves/natures, learnable moves,
+// valid abilities and EV/IV limits.
+
+const { STAT_KEYS, MAX_EV, MAX_EV_TOTAL, MAX_IV } = require('./dmgcalc');
+
+const RESTRICTED = [
+  'Mewtwo', 'Lugia', 'Ho-Oh', 'Kyogre', 'Groudon', 'Rayquaza', 'Dialga', 'Palkia', 'Giratina',
+  'Reshiram', 'Zekrom', 'Kyurem', 'Cosmog', 'Cosmoem', 'Solgaleo', 'Lunala', 'Necrozma',
+  'Zacian', 'Zamazenta', 'Eternatus', 'Calyrex', 'Koraidon', 'Miraidon', 'Terapagos'
+];
+const MYTHICAL = [
+  'Mew', 'Celebi', 'Jirachi', 'Deoxys', 'Phione', 'Manaphy', 'Darkrai', 'Shaymin', 'Arceus',
+  'Victini', 'Keldeo', 'Meloetta', 'Genesect', 'Diancie', 'Hoopa', 'Volcanion', 'Magearna',
+  'Marshadow', 'Zeraora', 'Meltan', 'Melmetal', 'Zarude', 'Pecharunt'
+];
+const PARADOX = [
+  'Great Tusk', 'Scream Tail', 'Brute Bonnet', 'Flutter Mane', 'Slither Wing', 'Sandy Shocks',
+  'Roaring Moon', 'Walking Wake', 'Gouging Fire', 'Raging Bolt', 'Iron Treads', 'Iron Bundle',
+  'Iron Hands', 'Iron Jugulis', 'Iron Moth', 'Iron Thorns', 'Iron Valiant', 'Iron Leaves',
+  'Iron Boulder', 'Iron Crown'
+];
+
+const VGC_BASE = { levelCap: 50, speciesClause: true, itemClause: true };
+
+const FORMATS = {
+  'VGC Reg F': { ...VGC_BASE, name: 'VGC Regulation F', banned: [...RESTRICTED, ...MYTHICAL] },
+  'VGC Reg G': { ...VGC_BASE, name: 'VGC Regulation G', banned: MYTHICAL, restricted: RESTRICTED, maxRestricted: 1 },
+  'VGC Reg H': { ...VGC_BASE, name: 'VGC Regulation H', banned: [...RESTRICTED, ...MYTHICAL, ...PARADOX] },
+  Open: { name: 'Open (no clauses)', levelCap: 100 }
+};
+// Plain "VGC" follows the current regulation
+FORMATS.VGC = { ...FORMATS['VGC Reg G'], name: 'VGC (current: Regulation G)' };
+
+function matchesSpecies(name, list) {
+  return (list || []).some(s => name === s || name.startsWith(`${s}-`));
+}
+
+// Species whose own name has a hyphen; in any other name the hyphen starts a forme ("Ogerpon-Wellspring")
+const HYPHENATED_SPECIES = ['Ho-Oh', 'Porygon-Z', 'Nidoran-F', 'Nidoran-M', 'Jangmo-o', 'Hakamo-o', 'Kommo-o', 'Wo-Chien', 'Chien-Pao', 'Ting-Lu', 'Chi-Yu'];
+
+function baseSpecies(name) {
+  return HYPHENATED_SPECIES.find(s => name === s || name.startsWith(`${s}-`)) || name.split('-')[0];
+}
+
+function listFormats() {
+  return Object.entries(FORMATS).map(([id, f]) => ({
+    id,
+    name: f.name,
+    level_cap: f.levelCap || 100,
+    species_clause: !!f.speciesClause,
+    item_clause: !!f.itemClause,
+    banned: f.banned || [],
+    restricted: f.restricted || [],
+    max_restricted: f.restricted ? f.maxRestricted : null
+  }));
+}
+
+// slots: resolved team members, as built by the server from the database:
+//   { slot, species, known, item, itemKnown, ability, abilities, nature, natureKnown, level, evs, ivs,
+//     moves: [{ name, known, learnable }] }
+// Returns { valid, format, errors: [{ slot, field, message }] } (slot is null for team-wide errors)
+function validateTeam(slots, formatId) {
+  const format = FORMATS[formatId];
+  if (!format) return { error: `Unknown format "${formatId}"` };
+  const errors = [];
+  const add = (slot, field, message) => errors.push({ slot, field, message });
+
+  if (slots.length === 0) add(null, 'team', 'Team is empty');
+  if (slots.length > 6) add(null, 'team', 'A team can have at most 6 Pokémon');
+
+  slots.forEach(p => {
+    if (!p.known) return add(p.slot, 'species', `Unknown Pokémon "${p.species}"`);
+
+    const cap = format.levelCap || 100;
+    if (!Number.isInteger(p.level) || p.level < 1 || p.level > cap) add(p.slot, 'level', `Level must be between 1 and ${cap}`);
+
+    let evTotal = 0;
+    STAT_KEYS.forEach(k => {
+      const ev = p.evs[k];
+      const iv = p.ivs[k];
+      if (!Number.isInteger(ev) || ev < 0 || ev > MAX_EV) add(p.slot, 'evs', `${k} EVs must be between 0 and ${MAX_EV}`);
+      else evTotal += ev;
+      if (!Number.isInteger(iv) || iv < 0 || iv > MAX_IV) add(p.slot, 'ivs', `${k} IVs must be between 0 and ${MAX_IV}`);
+    });
+    if (evTotal > MAX_EV_TOTAL) add(p.slot, 'evs', `EV total is ${evTotal} (max ${MAX_EV_TOTAL})`);
+
+    if (p.item && !p.itemKnown) add(p.slot, 'item', `Unknown item "${p.item}"`);
+    if (!p.ability) add(p.slot, 'ability', 'No ability selected');
+    else if (!p.abilities.includes(p.ability)) add(p.slot, 'ability', `${p.species} cannot have the ability "${p.ability}"`);
+    if (p.nature && !p.natureKnown) add(p.slot, 'nature', `Unknown nature "${p.nature}"`);
+
+    if (p.moves.length > 4) add(p.slot, 'moves', 'A Pokémon can know at most 4 moves');
+    const seen = new Set();
+    p.moves.forEach(m => {
+      if (!m.known) return add(p.slot, 'moves', `Unknown move "${m.name}"`);
+      if (!m.learnable) add(p.slot, 'moves', `${p.species} cannot learn ${m.name}`);
+      if (seen.has(m.name)) add(p.slot, 'moves', `${m.name} is listed twice`);
+      seen.add(m.name);
+    });
+
+    if (matchesSpecies(p.species, format.banned)) add(p.slot, 'species', `${p.species} is banned in ${format.name}`);
+    if (p.item && (format.bannedItems || []).includes(p.item)) add(p.slot, 'item', `${p.item} is banned in ${format.name}`);
+    if (p.ability && (format.bannedAbilities || []).includes(p.ability)) add(p.slot, 'ability', `${p.ability} is banned in ${format.name}`);
+    p.moves.forEach(m => {
+      if ((format.bannedMoves || []).includes(m.name)) add(p.slot, 'moves', `${m.name} is banned in ${format.name}`);
+    });
+  });
+
+  const known = slots.filter(p => p.known);
+  if (format.speciesClause) {
+    known.forEach((p, i) => {
+      const base = baseSpecies(p.species);
+      const first = known.findIndex(o => baseSpecies(o.species) === base);
+      if (first !== i) add(p.slot, 'species', `Species Clause: ${base} is already in slot ${known[first].slot}`);
+    });
+  }
+  if (format.itemClause) {
+    const itemKey = item => String(item || '').trim().toLowerCase();
+    known.forEach((p, i) => {
+      if (!itemKey(p.item)) return;
+      const first = known.findIndex(o => itemKey(o.item) === itemKey(p.item));
+      if (first !== i) add(p.slot, 'item', `Item Clause: ${known[first].item} is already held in slot ${known[first].slot}`);
+    });
+  }
+  if (format.restricted) {
+    const restricted = known.filter(p => matchesSpecies(p.species, format.restricted));
+    if (restricted.length > format.maxRestricted) {
+      restricted.forEach(p => add(p.slot, 'species', `${format.name} allows ${format.maxRestricted} restricted Pokémon; this team has ${restricted.length}`));
+    }
+  }
+
+  errors.sort((a, b) => (a.slot || 0) - (b.slot || 0));
+  return { valid: errors.length === 0, format: formatId, errors };
+}
+
+module.exports = {
+  FORMATS,
+  listFormats,
+  validateTeam
+};
@@ -0,0 +1,173 @@
+// Swiss pairings, standings and top-cut brackets for tournaments.
+// Players are registrations ({ id, dropped }); matches are
+//   { round, stage: 'swiss' | 'top_cut', table_no, player1, player2 (null for a bye), player1_wins, player2_wins, winner, reported }
+// with winner a player id, or null for a draw (or an unreported match).
+
+const WIN_POINTS = 3;
+const DRAW_POINTS = 1;
+// Play! Pokémon floor for a player's own win rate when it is used as a tiebreaker
+const MIN_WIN_RATE = 0.25;
+const GAMES_TO_WIN = 2;
+
+const round4 = x => Math.round(x * 10000) / 10000;
+const average = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0;
+const pairKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+
+// Best-of-three score -> { winner: 1 | 2 | null } (null is a draw, only allowed when allowDraw) or { error }
+function bestOfThree(p1, p2, allowDraw) {
+  if (![p1, p2].every(n => Number.isInteger(n) && n >= 0 && n <= GAMES_TO_WIN)) return { error: `Game wins must be whole numbers from 0 to ${GAMES_TO_WIN}` };
+  if (p1 === GAMES_TO_WIN && p2 === GAMES_TO_WIN) return { error: 'Only one player can win the set' };
+  if (p1 !== p2) return { winner: p1 > p2 ? 1 : 2 };
+  if (!allowDraw) return { error: 'Top cut matches need a winner' };
+  return { winner: null };
+}
+
+// Swiss record, win rates and OMW% / OOMW% tiebreakers, best first
+function standings(players, matches) {
+  const records = new Map(players.map(p => [p.id, {
+    player: p.id, dropped: !!p.dropped, wins: 0, losses: 0, draws: 0, byes: 0, points: 0, games_won: 0, games_played: 0, opponents: []
+  }]));
+
+  matches.filter(m => m.stage === 'swiss' && m.reported).forEach(m => {
+    const one = records.get(m.player1);
+    if (!one) return;
+    if (m.player2 === null) {
+      one.wins++;
+      one.byes++;
+      one.points += WIN_POINTS;
+      return;
+    }
+    const two = records.get(m.player2);
+    if (!two) return;
+    one.opponents.push(m.player2);
+    two.opponents.push(m.player1);
+    one.games_won += m.player1_wins;
+    two.games_won += m.player2_wins;
+    one.games_played += m.player1_wins + m.player2_wins;
+    two.games_played += m.player1_wins + m.player2_wins;
+    if (m.winner === null) {
+      one.draws++;
+      two.draws++;
+      one.points += DRAW_POINTS;
+      two.points += DRAW_POINTS;
+    } else {
+      const [winner, loser] = m.winner === m.player1 ? [one, two] : [two, one];
+      winner.wins++;
+      winner.points += WIN_POINTS;
+      loser.losses++;
+    }
+  });
+
+  // Byes count towards the record but not towards win rates
+  const winRate = new Map();
+  records.forEach(r => {
+    const played = r.wins - r.byes + r.losses + r.draws;
+    const rate = played ? (WIN_POINTS * (r.wins - r.byes) + DRAW_POINTS * r.draws) / (WIN_POINTS * played) : 0;
+    winRate.set(r.player, Math.max(MIN_WIN_RATE, rate));
+  });
+  const omw = new Map();
+  records.forEach(r => omw.set(r.player, average(r.opponents.map(o => winRate.get(o)))));
+
+  return Array.from(records.values())
+    .map(r => ({
+      player: r.player,
+      dropped: r.dropped,
+      wins: r.wins,
+      losses: r.losses,
+      draws: r.draws,
+      byes: r.byes,
+      points: r.points,
+      opponents: r.opponents,
+      match_win: round4(winRate.get(r.player)),
+      omw: round4(omw.get(r.player)),
+      oomw: round4(average(r.opponents.map(o => omw.get(o)))),
+      game_win: round4(r.games_played ? r.games_won / r.games_played : 0)
+    }))
+    .sort((a, b) => b.points - a.points || b.omw - a.omw || b.oomw - a.oomw || b.game_win - a.game_win)
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+// Pair players in order, each with the highest-placed opponent they have not played yet
+function pairWithoutRematches(pool, played) {
+  if (!pool.length) return [];
+  const [first, ...rest] = pool;
+  for (let i = 0; i < rest.length; i++) {
+    if (played.has(pairKey(first, rest[i]))) continue;
+    const paired = pairWithoutRematches([...rest.slice(0, i), ...rest.slice(i + 1)], played);
+    if (paired) return [[first, rest[i]], ...paired];
+  }
+  return null;
+}
+
+// Next Swiss round: players ordered by standings (registration order breaks ties),
+// the lowest-placed player without a bye gets one when the count is odd.
+// Rematches are avoided when possible. Returns { pairs: [[p1, p2]], bye }.
+function swissPairings(players, matches) {
+  const order = new Map(players.map((p, i) => [p.id, i]));
+  const active = new Set(players.filter(p => !p.dropped).map(p => p.id));
+  const table = standings(players, matches)
+    .filter(r => active.has(r.player))
+    .sort((a, b) => a.rank - b.rank || order.get(a.player) - order.get(b.player));
+
+  let pool = table.map(r => r.player);
+  let bye = null;
+  if (pool.length % 2 === 1) {
+    const candidates = table.filter(r => r.byes === 0);
+    bye = (candidates.length ? candidates[candidates.length - 1] : table[table.length - 1]).player;
+    pool = pool.filter(id => id !== bye);
+  }
+
+  const played = new Set();
+  matches.filter(m => m.stage === 'swiss' && m.player2 !== null).forEach(m => played.add(pairKey(m.player1, m.player2)));
+  let pairs = pairWithoutRematches(pool, played);
+  if (!pairs) {
+    pairs = [];
+    for (let i = 0; i < pool.length; i += 2) pairs.push([pool[i], pool[i + 1]]);
+  }
+  return { pairs, bye };
+}
+
+// Seed order for a single-elimination bracket: 1 v 8, 4 v 5, 2 v 7, 3 v 6 for eight players
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+// Largest power of two no bigger than both the requested cut and the number of players
+function cutSize(requested, players) {
+  let size = 1;
+  while (size * 2 <= Math.min(requested, players)) size *= 2;
+  return size;
+}
+
+// First top-cut round from players in seed order (best first)
+function topCutPairings(seeded) {
+  const order = bracketOrder(seeded.length);
+  const pairs = [];
+  for (let i = 0; i < order.length; i += 2) pairs.push([seeded[order[i] - 1], seeded[order[i + 1] - 1]]);
+  return pairs;
+}
+
+// Next bracket round: winners of neighbouring tables meet
+function nextBracketRound(previousRound) {
+  const winners = previousRound.slice().sort((a, b) => a.table_no - b.table_no).map(m => m.winner);
+  const pairs = [];
+  for (let i = 0; i < winners.length; i += 2) pairs.push([winners[i], winners[i + 1]]);
+  return pairs;
+}
+
+module.exports = {
+  WIN_POINTS,
+  DRAW_POINTS,
+  bestOfThree,
+  standings,
+  swissPairings,
+  bracketOrder,
+  cutSize,
+  topCutPairings,
+  nextBracketRound
+};
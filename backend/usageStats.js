@@ -0,0 +1,81 @@
+// Metagame usage statistics aggregated from saved teams.
+// Teams come from the server as { id, members: [{ name, item, ability, nature, evs, moves }] };
+// evs use the app's stat keys (hp, attack, defence, sp_atk, sp_def, spd).
+
+const { STAT_KEYS } = require('./dmgcalc');
+
+// How many entries each per-species breakdown keeps
+const TOP_N = 10;
+
+const percent = (count, total) => total ? Math.round(count * 10000 / total) / 100 : 0;
+
+function tally(counts, key) {
+  if (key === undefined || key === null || key === '') return;
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+// Most common entries first, as { name, count, percent } of total
+function top(counts, total, limit = TOP_N) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count, percent: percent(count, total) }));
+}
+
+// Smogon-style spread key: "Jolly:4/252/0/0/0/252"
+function spreadKey(nature, evs) {
+  return `${nature || 'Hardy'}:${STAT_KEYS.map(k => Number((evs || {})[k]) || 0).join('/')}`;
+}
+
+function aggregateUsage(teams) {
+  const species = new Map();
+  const entry = name => {
+    if (!species.has(name)) {
+      species.set(name, {
+        teams: 0, sets: 0, items: new Map(), abilities: new Map(), moves: new Map(), natures: new Map(), spreads: new Map(), teammates: new Map()
+      });
+    }
+    return species.get(name);
+  };
+
+  teams.forEach(team => {
+    // A species counts once per team even if it appears twice
+    const names = Array.from(new Set(team.members.map(m => m.name)));
+    team.members.forEach(m => {
+      const e = entry(m.name);
+      e.sets++;
+      tally(e.items, m.item);
+      tally(e.abilities, m.ability);
+      tally(e.natures, m.nature);
+      tally(e.spreads, spreadKey(m.nature, m.evs));
+      (m.moves || []).forEach(move => tally(e.moves, move));
+    });
+    names.forEach(name => {
+      const e = entry(name);
+      e.teams++;
+      names.forEach(other => { if (other !== name) tally(e.teammates, other); });
+    });
+  });
+
+  const pokemon = Array.from(species.entries())
+    // Breakdowns are relative to how many sets of the species there are; teammates to its teams
+    .map(([name, e]) => ({
+      name,
+      teams: e.teams,
+      usage: percent(e.teams, teams.length),
+      items: top(e.items, e.sets),
+      abilities: top(e.abilities, e.sets),
+      moves: top(e.moves, e.sets),
+      natures: top(e.natures, e.sets),
+      spreads: top(e.spreads, e.sets),
+      teammates: top(e.teammates, e.teams)
+    }))
+    .sort((a, b) => b.teams - a.teams || a.name.localeCompare(b.name));
+
+  return { teams: teams.length, pokemon };
+}
+
+module.exports = {
+  aggregateUsage,
+  spreadKey
+};